@@ -0,0 +1,304 @@
+// Normalizes SIGMETs, AIRMETs, G-AIRMETs and PIREPs from aviationweather.gov
+// into one advisory shape:
+//
+//   { id, source, hazard, severity, altitude:{ lowFt, highFt, text },
+//     validFrom, validTo, raw, geometry }
+//
+// Geometry is GeoJSON, so coordinates are ordered [lon, lat].
+
+const PIREP_LINK_MILES = 25;
+const LINE_LINK_MILES = 10;
+const NM_TO_MILES = 1.150779;
+const GAIRMET_SNAPSHOT_HOURS = 3;
+
+function toArray(v) {
+  if (!v) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+// Polygons of a GeoJSON boundary (FeatureCollection, Feature or geometry).
+function boundaryPolygons(geo) {
+  const polygons = [];
+
+  for (const f of geo.features || [geo]) {
+    const g = f.geometry || f;
+    if (g?.type === "Polygon") polygons.push(g.coordinates);
+    if (g?.type === "MultiPolygon") polygons.push(...g.coordinates);
+  }
+
+  return polygons;
+}
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+
+  return inside;
+}
+
+function pointInPolygon(pt, polygon) {
+  return pointInRing(pt, polygon[0]) && !polygon.slice(1).some(hole => pointInRing(pt, hole));
+}
+
+function segmentsCross(a, b, c, d) {
+  const orient = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+  return orient(a, b, c) !== orient(a, b, d) && orient(c, d, a) !== orient(c, d, b);
+}
+
+function edgesOf(line) {
+  const out = [];
+  for (let i = 1; i < line.length; i++) out.push([line[i - 1], line[i]]);
+  return out;
+}
+
+function linesCross(lineA, lineB) {
+  const edgesB = edgesOf(lineB);
+  return edgesOf(lineA).some(([a, b]) => edgesB.some(([c, d]) => segmentsCross(a, b, c, d)));
+}
+
+function intersectsPolygons(geometry, polygons) {
+  if (!geometry) return false;
+
+  return polygons.some(poly => {
+    if (geometry.type === "Point") return pointInPolygon(geometry.coordinates, poly);
+
+    const line = geometry.type === "Polygon" ? geometry.coordinates[0] : geometry.coordinates;
+    if (line.some(pt => pointInPolygon(pt, poly))) return true;
+    if (poly.some(ring => linesCross(line, ring))) return true;
+
+    return geometry.type === "Polygon" && poly[0].some(pt => pointInPolygon(pt, geometry.coordinates));
+  });
+}
+
+function polygonsBbox(polygons) {
+  const pts = polygons.flatMap(p => p[0]);
+  const lons = pts.map(p => p[0]);
+  const lats = pts.map(p => p[1]);
+  return [Math.min(...lats), Math.min(...lons), Math.max(...lats), Math.max(...lons)].map(n => Number(n.toFixed(2)));
+}
+
+function advisoryGeometry(coords, type = "AREA") {
+  const pts = toArray(coords)
+    .map(c => [Number(c.lon ?? c.longitude), Number(c.lat ?? c.latitude)])
+    .filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+
+  if (!pts.length) return null;
+  if (pts.length === 1) return { type: "Point", coordinates: pts[0] };
+  if (String(type).toUpperCase() === "LINE" || pts.length < 3) return { type: "LineString", coordinates: pts };
+
+  const [fx, fy] = pts[0];
+  const [lx, ly] = pts[pts.length - 1];
+  if (fx !== lx || fy !== ly) pts.push(pts[0]);
+
+  return { type: "Polygon", coordinates: [pts] };
+}
+
+function timeIso(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const ms = typeof v === "number" || /^\d+$/.test(String(v)) ? Number(v) * 1000 : Date.parse(v);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+// Flight levels in G-AIRMETs and PIREPs are hundreds of feet; SFC is 0 and
+// FZL (freezing level) has no fixed height.
+function levelFeet(v) {
+  const s = String(v ?? "").trim().toUpperCase();
+  if (!s) return null;
+  if (s === "SFC") return 0;
+  const n = Number(s);
+  return Number.isFinite(n) ? n * 100 : null;
+}
+
+function altitudeBand(low, high, lowText = null, highText = null) {
+  const fmt = (ft, txt) => txt || (ft === 0 ? "SFC" : ft == null ? "?" : `FL${String(Math.round(ft / 100)).padStart(3, "0")}`);
+  return { lowFt: low, highFt: high, text: `${fmt(low, lowText)}-${fmt(high, highText)}` };
+}
+
+function normalizeAirSigmet(a) {
+  const type = String(a.airSigmetType || "").toUpperCase();
+  if (type !== "SIGMET" && type !== "AIRMET") return null;
+
+  const hazard = String(a.hazard || "").toUpperCase() || "UNKNOWN";
+  const series = String(a.seriesId || a.alphaChar || "").trim();
+  const source = type === "SIGMET" && (hazard === "CONVECTIVE" || /^\d+[EWC]$/.test(series))
+    ? "CONVECTIVE SIGMET"
+    : type;
+
+  const validFrom = timeIso(a.validTimeFrom);
+
+  return {
+    id: `${source}:${series || hazard}:${validFrom || ""}`,
+    source,
+    hazard,
+    severity: a.severity ?? null,
+    altitude: altitudeBand(
+      Number.isFinite(Number(a.altitudeLow1)) ? Number(a.altitudeLow1) : null,
+      Number.isFinite(Number(a.altitudeHi1)) ? Number(a.altitudeHi1) : null
+    ),
+    validFrom,
+    validTo: timeIso(a.validTimeTo),
+    raw: a.rawAirSigmet || null,
+    geometry: advisoryGeometry(a.coords)
+  };
+}
+
+// G-AIRMETs are snapshots every GAIRMET_SNAPSHOT_HOURS; each one is treated as
+// valid until the next.
+function normalizeGAirmet(g) {
+  const hazard = String(g.hazard || "").toUpperCase() || "UNKNOWN";
+  const validFrom = timeIso(g.validTime);
+  const validTo = validFrom
+    ? new Date(Date.parse(validFrom) + GAIRMET_SNAPSHOT_HOURS * 3600000).toISOString()
+    : null;
+
+  const baseText = String(g.base ?? "").toUpperCase() === "FZL" ? "FZL" : null;
+  const topText = String(g.top ?? "").toUpperCase() === "FZL" ? "FZL" : null;
+
+  return {
+    id: `G-AIRMET:${g.tag || ""}:${hazard}:${validFrom || ""}`,
+    source: "G-AIRMET",
+    hazard,
+    severity: g.severity ?? null,
+    forecastHour: g.forecastHour ?? null,
+    dueTo: g.dueTo || null,
+    altitude: altitudeBand(levelFeet(g.base), levelFeet(g.top), baseText, topText),
+    validFrom,
+    validTo,
+    raw: null,
+    geometry: advisoryGeometry(g.coords, g.geometryType)
+  };
+}
+
+function normalizePirep(p) {
+  const icing = p.icgInt1 ? `${p.icgInt1}${p.icgType1 ? ` ${p.icgType1}` : ""}` : null;
+  const turb = p.tbInt1 ? `${p.tbInt1}${p.tbType1 ? ` ${p.tbType1}` : ""}` : null;
+
+  const hazard = icing && turb ? "ICE/TURB" : icing ? "ICE" : turb ? "TURB" : "WX";
+
+  let low = levelFeet(p.fltLvl);
+  let high = low;
+  if (icing && (p.icgBas1 || p.icgTop1)) {
+    low = levelFeet(p.icgBas1) ?? low;
+    high = levelFeet(p.icgTop1) ?? high;
+  } else if (turb && (p.tbBas1 || p.tbTop1)) {
+    low = levelFeet(p.tbBas1) ?? low;
+    high = levelFeet(p.tbTop1) ?? high;
+  }
+
+  const obs = timeIso(p.obsTime);
+  const urgent = /urgent|UUA/i.test(String(p.pirepType || "")) || /\bUUA\b/.test(String(p.rawOb || ""));
+
+  return {
+    id: `PIREP:${obs || ""}:${p.lat},${p.lon}`,
+    source: urgent ? "URGENT PIREP" : "PIREP",
+    hazard,
+    severity: [icing, turb].filter(Boolean).join(", ") || null,
+    aircraft: p.acType || null,
+    weather: p.wxString || null,
+    altitude: altitudeBand(low, high),
+    validFrom: obs,
+    validTo: null,
+    raw: p.rawOb || null,
+    geometry: advisoryGeometry([{ lat: p.lat, lon: p.lon }])
+  };
+}
+
+function milesBetween(a, b) {
+  const R = 3958.8;
+  const dLat = ((b[1] - a[1]) * Math.PI) / 180;
+  const dLon = ((b[0] - a[0]) * Math.PI) / 180;
+  const x = Math.sin(dLat / 2) ** 2 +
+    Math.cos((a[1] * Math.PI) / 180) * Math.cos((b[1] * Math.PI) / 180) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(x), Math.sqrt(1 - x));
+}
+
+// Distance from pt to a polyline, on a flat projection centred on pt; good
+// to well under a mile at the tens of miles a link buffer spans.
+function milesToLine(pt, line) {
+  const milesPerDeg = (3958.8 * Math.PI) / 180;
+  const kx = milesPerDeg * Math.cos((pt[1] * Math.PI) / 180);
+  const xy = ([lon, lat]) => [(lon - pt[0]) * kx, (lat - pt[1]) * milesPerDeg];
+
+  return edgesOf(line.map(xy)).reduce((best, [a, b]) => {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(a[0] * dx + a[1] * dy) / len2)) : 0;
+    return Math.min(best, Math.hypot(a[0] + t * dx, a[1] + t * dy));
+  }, Infinity);
+}
+
+// Half the width a line advisory states ("LINE 40NM WIDE"), else
+// LINE_LINK_MILES either side.
+function lineBufferMiles(adv) {
+  const wide = String(adv.raw || "").toUpperCase().match(/\b(\d+)\s*NM\s+WIDE\b/);
+  return wide ? (Number(wide[1]) * NM_TO_MILES) / 2 : LINE_LINK_MILES;
+}
+
+function isCurrent(adv, nowMs) {
+  const from = Date.parse(adv.validFrom || "");
+  const to = Date.parse(adv.validTo || "");
+  if (Number.isFinite(from) && from > nowMs) return false;
+  if (Number.isFinite(to) && to < nowMs) return false;
+  return true;
+}
+
+// The G-AIRMET feed carries every forecast snapshot (0 to 12 hours out). Keeps
+// only the snapshot in effect at nowMs, or the one nearest it when none is,
+// so later forecast hours are not listed as current hazards.
+function currentGAirmets(advisories, nowMs) {
+  const times = [...new Set(advisories
+    .filter(adv => adv.source === "G-AIRMET")
+    .map(adv => Date.parse(adv.validFrom || ""))
+    .filter(Number.isFinite))];
+
+  if (!times.length) return advisories.filter(adv => adv.source !== "G-AIRMET");
+
+  const started = times.filter(t => t <= nowMs);
+  const snapshot = started.length
+    ? Math.max(...started)
+    : times.reduce((a, b) => (Math.abs(b - nowMs) < Math.abs(a - nowMs) ? b : a));
+
+  return advisories.filter(adv => adv.source !== "G-AIRMET" || Date.parse(adv.validFrom || "") === snapshot);
+}
+
+// Areas cover an airport when it lies inside them; lines when it lies within
+// their buffer; PIREPs when they were reported within PIREP_LINK_MILES.
+function advisoriesCovering(airport, advisories, nowMs) {
+  if (!Number.isFinite(airport?.lat) || !Number.isFinite(airport?.lon)) return [];
+
+  const pt = [airport.lon, airport.lat];
+
+  return advisories
+    .filter(adv => isCurrent(adv, nowMs))
+    .filter(adv => {
+      const g = adv.geometry;
+      if (g?.type === "Polygon") return pointInPolygon(pt, g.coordinates);
+      if (g?.type === "LineString") return milesToLine(pt, g.coordinates) <= lineBufferMiles(adv);
+      if (g?.type === "Point") return milesBetween(pt, g.coordinates) <= PIREP_LINK_MILES;
+      return false;
+    })
+    .map(adv => adv.id);
+}
+
+export {
+  PIREP_LINK_MILES,
+  LINE_LINK_MILES,
+  boundaryPolygons,
+  pointInPolygon,
+  intersectsPolygons,
+  polygonsBbox,
+  advisoryGeometry,
+  normalizeAirSigmet,
+  normalizeGAirmet,
+  normalizePirep,
+  milesToLine,
+  isCurrent,
+  currentGAirmets,
+  advisoriesCovering
+};
@@ -0,0 +1,158 @@
+// History is run-length encoded: one entry per stretch of unchanged status,
+// delay, flight category and FAA flow code. A silence longer than
+// HISTORY_GAP_MINUTES starts a new entry so outages are not counted as time
+// in the old state. The workflow is scheduled every 10 minutes, but scheduled
+// Actions runs are routinely delayed by half an hour or more, so the gap
+// allows for that before treating a run as missed.
+
+const HISTORY_DAYS = 7;
+const HISTORY_GAP_MINUTES = 90;
+
+function historyValue(airport) {
+  return {
+    status: airport.status ?? "Unknown",
+    delay: airport.delay ?? "—",
+    cat: airport.metarCat ?? "—",
+    flow: airport.faaFlow?.code ?? null
+  };
+}
+
+function sameValue(a, b, keys = ["status", "delay", "cat", "flow"]) {
+  return keys.every(k => a[k] === b[k]);
+}
+
+function appendHistory(entries, value, nowMs) {
+  const out = [...(entries || [])];
+  const now = new Date(nowMs).toISOString();
+  const last = out[out.length - 1];
+
+  const gapOk = last && nowMs - Date.parse(last.to) <= HISTORY_GAP_MINUTES * 60000;
+
+  if (last && gapOk && sameValue(last, value)) {
+    out[out.length - 1] = { ...last, to: now };
+  } else {
+    out.push({ from: gapOk ? last.to : now, to: now, ...value });
+  }
+
+  const cutoff = nowMs - HISTORY_DAYS * 86400000;
+
+  return out
+    .filter(e => Date.parse(e.to) > cutoff)
+    .map(e => (Date.parse(e.from) < cutoff ? { ...e, from: new Date(cutoff).toISOString() } : e));
+}
+
+// When the current value of `key` began, following back through entries
+// that join without a gap.
+function sinceFor(entries, key) {
+  if (!entries?.length) return null;
+
+  let i = entries.length - 1;
+  const value = entries[i][key];
+
+  while (i > 0 && entries[i - 1][key] === value && entries[i - 1].to === entries[i].from) i--;
+
+  return entries[i].from;
+}
+
+const EASTERN_DAY = new Intl.DateTimeFormat("en-CA", {
+  timeZone: "America/New_York",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit"
+});
+
+function easternDay(ms) {
+  return EASTERN_DAY.format(new Date(ms));
+}
+
+// Eastern midnight always falls on a whole UTC hour, so step by hours.
+function nextEasternMidnight(ms) {
+  const day = easternDay(ms);
+  let t = (Math.floor(ms / 3600000) + 1) * 3600000;
+  while (easternDay(t) === day) t += 3600000;
+  return t;
+}
+
+function roundHours(ms) {
+  return Number((ms / 3600000).toFixed(2));
+}
+
+// Per Eastern calendar day: hours in each flight category, hours under each
+// non-OK NAS status, and the peak reported delay. An entry that runs past
+// midnight counts toward every day it covers, its delay included.
+function dailySummaries(entries) {
+  const days = {};
+
+  const dayOf = (key) => {
+    if (!days[key]) days[key] = { catMs: {}, statusMs: {}, peakDelay: null };
+    return days[key];
+  };
+
+  for (const e of entries || []) {
+    let from = Date.parse(e.from);
+    const to = Date.parse(e.to);
+
+    const delay = Number(e.delay);
+
+    do {
+      const end = Math.min(to, nextEasternMidnight(from));
+      const d = dayOf(easternDay(from));
+
+      d.catMs[e.cat] = (d.catMs[e.cat] || 0) + (end - from);
+      if (e.status !== "OK") d.statusMs[e.status] = (d.statusMs[e.status] || 0) + (end - from);
+
+      if (Number.isFinite(delay) && delay > 0 && (!d.peakDelay || delay > d.peakDelay.minutes)) {
+        d.peakDelay = { minutes: delay, at: new Date(from).toISOString(), status: e.status };
+      }
+
+      from = end;
+    } while (from < to);
+  }
+
+  const out = {};
+
+  for (const [day, d] of Object.entries(days).sort(([a], [b]) => a.localeCompare(b))) {
+    out[day] = {
+      hoursByCat: Object.fromEntries(Object.entries(d.catMs).map(([k, ms]) => [k, roundHours(ms)])),
+      programHours: Object.fromEntries(Object.entries(d.statusMs).map(([k, ms]) => [k, roundHours(ms)])),
+      peakDelay: d.peakDelay
+    };
+  }
+
+  return out;
+}
+
+// `previous` is the airports map of the last written history file.
+function updateHistory(combined, previous = {}, nowMs = Date.now()) {
+  const airports = {};
+
+  for (const [icao, airport] of Object.entries(combined.airports)) {
+    const history = appendHistory(previous[icao]?.history, historyValue(airport), nowMs);
+
+    airport.since = {
+      status: sinceFor(history, "status"),
+      delay: sinceFor(history, "delay"),
+      metarCat: sinceFor(history, "cat"),
+      faaFlow: sinceFor(history, "flow")
+    };
+
+    airports[icao] = { history, daily: dailySummaries(history) };
+  }
+
+  return {
+    updatedAt: new Date(nowMs).toISOString(),
+    days: HISTORY_DAYS,
+    airports
+  };
+}
+
+export {
+  HISTORY_DAYS,
+  HISTORY_GAP_MINUTES,
+  historyValue,
+  appendHistory,
+  sinceFor,
+  easternDay,
+  dailySummaries,
+  updateHistory
+};
@@ -0,0 +1,203 @@
+#!/usr/bin/env python3
+
+import json
+import re
+import shutil
+import zipfile
+from datetime import datetime, timezone
+from pathlib import Path
+
+import geopandas as gpd
+import requests
+from shapely.geometry import LineString, MultiLineString
+from shapely.ops import linemerge, nearest_points
+
+# Census TIGER/Line primary and secondary roads for Pennsylvania (FIPS 42)
+ROADS_URL = "https://www2.census.gov/geo/tiger/TIGER2024/PRISECROADS/tl_2024_42_prisecroads.zip"
+
+WORKDIR = Path("debug/centerline_build")
+OUT_PATH = Path("data/pa_centerlines.json")
+
+# Interstates and US routes only; roughly 40 m in degrees at PA latitudes
+ROUTE_TYPES = {"I": "I", "U": "US"}
+SIMPLIFY_TOLERANCE = 0.0004
+MIN_PART_MILES = 0.5
+
+# TIGER draws a divided highway as one line per carriageway, ~20-150 m apart.
+# A part with another part of the same route this close at its midpoint is
+# one carriageway of a pair; anything farther out is a single-line road.
+CARRIAGEWAY_PAIR_DEGREES = 0.0015
+
+# Even-numbered routes are signed east/west, odd ones north/south, apart from
+# the PA routes that break the rule.
+DIRECTIONS = {0: ("E", "W"), 1: ("N", "S")}
+SIGNED_NORTH_SOUTH = {"I-176", "I-380", "I-476", "US-202", "US-206", "US-220", "US-222"}
+
+ROUTE_NUMBER_RE = re.compile(r"(\d{1,3})")
+
+
+def download(url: str, dest: Path) -> None:
+    dest.parent.mkdir(parents=True, exist_ok=True)
+    r = requests.get(url, timeout=180)
+    r.raise_for_status()
+    dest.write_bytes(r.content)
+
+
+def unzip(zip_path: Path, dest_dir: Path) -> None:
+    if dest_dir.exists():
+        shutil.rmtree(dest_dir)
+    dest_dir.mkdir(parents=True, exist_ok=True)
+    with zipfile.ZipFile(zip_path, "r") as zf:
+        zf.extractall(dest_dir)
+
+
+def find_shp(directory: Path) -> Path:
+    shp_files = list(directory.rglob("*.shp"))
+    if not shp_files:
+        raise FileNotFoundError(f"No .shp file found in {directory}")
+    return shp_files[0]
+
+
+def route_key(rttyp: str, fullname: str):
+    prefix = ROUTE_TYPES.get(str(rttyp or "").strip())
+    if not prefix:
+        return None
+
+    m = ROUTE_NUMBER_RE.search(str(fullname or ""))
+    if not m:
+        return None
+
+    return f"{prefix}-{int(m.group(1))}"
+
+
+def line_parts(geom):
+    if geom is None or geom.is_empty:
+        return []
+    if isinstance(geom, LineString):
+        return [geom]
+    if isinstance(geom, MultiLineString):
+        return list(geom.geoms)
+    return []
+
+
+def approx_miles(line: LineString) -> float:
+    # Degrees to miles at ~41N; only used to drop ramp-sized fragments
+    coords = list(line.coords)
+    total = 0.0
+    for (x1, y1), (x2, y2) in zip(coords, coords[1:]):
+        total += (((x2 - x1) * 52.2) ** 2 + ((y2 - y1) * 69.0) ** 2) ** 0.5
+    return total
+
+
+def route_axis(route: str):
+    if route in SIGNED_NORTH_SOUTH:
+        return DIRECTIONS[1]
+    return DIRECTIONS[int(route.split("-")[1]) % 2]
+
+
+def orient_increasing(line: LineString, east_west: bool) -> LineString:
+    # Run every part west-to-east or south-to-north along the route's signed
+    # axis, the same way PA mileposts increase.
+    (x1, y1), (x2, y2) = line.coords[0], line.coords[-1]
+    backwards = (x2 < x1) if east_west else (y2 < y1)
+    return LineString(list(line.coords)[::-1]) if backwards else line
+
+
+def carriageway_side(part: LineString, others) -> int:
+    """+1 when part carries the increasing direction, -1 the decreasing one,
+    0 when no paired carriageway is near enough to tell."""
+    mid_distance = part.length / 2
+    mid = part.interpolate(mid_distance)
+    ahead = part.interpolate(min(part.length, mid_distance + 0.0005))
+
+    partner = min(others, key=lambda o: o.distance(mid), default=None)
+    if partner is None or partner.distance(mid) > CARRIAGEWAY_PAIR_DEGREES:
+        return 0
+
+    across = nearest_points(mid, partner)[1]
+    tx, ty = ahead.x - mid.x, ahead.y - mid.y
+    px, py = across.x - mid.x, across.y - mid.y
+
+    # Traffic keeps right, so the increasing carriageway has its partner on
+    # the left of its direction of travel.
+    return 1 if tx * py - ty * px > 0 else -1
+
+
+def as_coords(line: LineString):
+    return [[round(y, 5), round(x, 5)] for x, y in line.coords]
+
+
+def directional_parts(route: str, parts):
+    increasing, decreasing = route_axis(route)
+    oriented = [orient_increasing(p, increasing == "E") for p in parts]
+    out = {increasing: [], decreasing: []}
+
+    for i, part in enumerate(oriented):
+        side = carriageway_side(part, oriented[:i] + oriented[i + 1:])
+
+        if side >= 0:
+            out[increasing].append(as_coords(part))
+        if side <= 0:
+            out[decreasing].append(as_coords(part)[::-1])
+
+    for lines in out.values():
+        lines.sort(key=len, reverse=True)
+
+    return out
+
+
+def main() -> None:
+    WORKDIR.mkdir(parents=True, exist_ok=True)
+    OUT_PATH.parent.mkdir(parents=True, exist_ok=True)
+
+    roads_zip = WORKDIR / "prisecroads.zip"
+    roads_dir = WORKDIR / "prisecroads"
+
+    print("Downloading Census TIGER roads for Pennsylvania...")
+    download(ROADS_URL, roads_zip)
+    unzip(roads_zip, roads_dir)
+
+    print("Reading shapefile...")
+    roads = gpd.read_file(find_shp(roads_dir))
+
+    if roads.crs is None or str(roads.crs).lower() != "epsg:4326":
+        roads = roads.to_crs(epsg=4326)
+
+    for col in ("RTTYP", "FULLNAME"):
+        if col not in roads.columns:
+            raise KeyError(f"Could not find {col} column in {list(roads.columns)}")
+
+    roads["route"] = [route_key(t, n) for t, n in zip(roads["RTTYP"], roads["FULLNAME"])]
+    roads = roads[roads["route"].notna()]
+
+    routes = {}
+
+    for route, group in roads.groupby("route"):
+        lines = [part for geom in group.geometry for part in line_parts(geom)]
+        merged = linemerge(lines)
+
+        parts = [
+            part.simplify(SIMPLIFY_TOLERANCE, preserve_topology=False)
+            for part in line_parts(merged)
+            if approx_miles(part) >= MIN_PART_MILES
+        ]
+
+        if parts:
+            routes[route] = {"directions": directional_parts(route, parts)}
+
+    out = {
+        "name": "pa_centerlines",
+        "source": ROADS_URL,
+        "generated_at": datetime.now(timezone.utc).isoformat(timespec="seconds"),
+        "notes": "Simplified centerlines per route and direction of travel. directions.E/W/N/S hold [lat, lon] lists running the way traffic in that direction drives; each carriageway of a divided highway appears only under its own direction, single-line roads under both.",
+        "routes": dict(sorted(routes.items())),
+    }
+
+    print(f"Writing {OUT_PATH} ({len(routes)} routes) ...")
+    OUT_PATH.write_text(json.dumps(out, separators=(",", ":")) + "\n", encoding="utf-8")
+
+    print("Done.")
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,248 @@
+// Decodes a raw METAR into plain values: knots, statute miles, feet and
+// degrees C, with null for anything the report leaves out. The *Text fields
+// are the strings the airports board shows.
+
+const CROSSWIND_ALERT_KT = 15;
+const MPS_TO_KT = 1.943844;
+
+const DESCRIPTORS = {
+  MI: "Shallow", PR: "Partial", BC: "Patches", DR: "Low drifting",
+  BL: "Blowing", SH: "Showers", TS: "Thunderstorms", FZ: "Freezing"
+};
+
+const PHENOMENA = {
+  DZ: "Drizzle", RA: "Rain", SN: "Snow", SG: "Snow grains", IC: "Ice crystals",
+  PL: "Ice pellets", GR: "Hail", GS: "Small hail", UP: "Unknown precip",
+  BR: "Mist", FG: "Fog", FU: "Smoke", VA: "Volcanic ash", DU: "Dust",
+  SA: "Sand", HZ: "Haze", PY: "Spray", SQ: "Squalls", FC: "Funnel cloud",
+  SS: "Sandstorm", DS: "Duststorm", PO: "Dust whirls"
+};
+
+function cToF(c) {
+  if (c === null || c === undefined) return null;
+  return Math.round((c * 9) / 5 + 32);
+}
+
+function fracToFloat(frac) {
+  const m = String(frac).match(/^(\d+)\/(\d+)$/);
+  if (!m || Number(m[2]) === 0) return NaN;
+  return Number(m[1]) / Number(m[2]);
+}
+
+// Remarks and trend groups repeat element shapes (peak wind, "TEMPO 1SM"), so
+// only the observation itself is parsed.
+function metarBody(raw) {
+  return ` ${String(raw || "").trim().toUpperCase().split(/\s(?:RMK|TEMPO|BECMG|NOSIG)\b/)[0]} `;
+}
+
+function parseWind(body) {
+  const m = body.match(/\s(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS)\s/);
+  if (!m) return null;
+
+  const scale = m[4] === "MPS" ? MPS_TO_KT : 1;
+  const speedKt = Math.round(Number(m[2]) * scale);
+  const gustKt = m[3] ? Math.round(Number(m[3]) * scale) : null;
+  const variable = m[1] === "VRB";
+  const dirDeg = variable ? null : Number(m[1]);
+
+  const range = body.match(/\s(\d{3})V(\d{3})\s/);
+  const calm = speedKt === 0 && !gustKt;
+
+  const speedText = gustKt ? `${speedKt}G${gustKt}` : `${speedKt}`;
+  const text = calm ? "Calm" : `${variable ? "VRB" : m[1]} ${speedText}`;
+
+  return {
+    dirDeg,
+    variable,
+    varyFromDeg: range ? Number(range[1]) : null,
+    varyToDeg: range ? Number(range[2]) : null,
+    speedKt,
+    gustKt,
+    calm,
+    text
+  };
+}
+
+function parseVisibility(body) {
+  if (/\sCAVOK\s/.test(body)) return { visSM: 6, text: ">6 SM" };
+
+  const m = body.match(/\s(M?\d{1,2}\s\d\/\d|M?\d\/\d|[PM]?\d{1,2})SM\s/);
+  if (!m) return null;
+
+  const token = m[1].trim();
+  const bare = token.replace(/^[PM]/, "");
+  const value = bare.includes(" ")
+    ? Number(bare.split(" ")[0]) + fracToFloat(bare.split(" ")[1])
+    : bare.includes("/") ? fracToFloat(bare) : Number(bare);
+
+  if (!Number.isFinite(value)) return null;
+
+  const prefix = token.startsWith("P") ? ">" : token.startsWith("M") ? "<" : "";
+  return { visSM: value, text: `${prefix}${prefix ? bare : value} SM` };
+}
+
+function parseClouds(body) {
+  return Array.from(body.matchAll(/\s(FEW|SCT|BKN|OVC|VV)(\d{3})(?=[A-Z/]*\s)/g))
+    .map(m => ({ cover: m[1], baseFt: Number(m[2]) * 100 }));
+}
+
+function ceilingOf(clouds) {
+  const bases = clouds
+    .filter(c => c.cover === "BKN" || c.cover === "OVC" || c.cover === "VV")
+    .map(c => c.baseFt);
+  return bases.length ? Math.min(...bases) : null;
+}
+
+function parseTemps(body) {
+  const m = body.match(/\s(M?\d{2})\/(M?\d{2})?\s/);
+  if (!m) return { tempC: null, dewpointC: null };
+
+  const value = (t) => (t ? (t.startsWith("M") ? -Number(t.slice(1)) : Number(t)) : null);
+  return { tempC: value(m[1]), dewpointC: value(m[2]) };
+}
+
+function decodeWxToken(tok) {
+  let t = String(tok || "").trim().toUpperCase();
+  if (!t) return null;
+
+  let prefix = "";
+  if (t.startsWith("+")) { prefix = "Heavy "; t = t.slice(1); }
+  else if (t.startsWith("-")) { prefix = "Light "; t = t.slice(1); }
+  else if (t.startsWith("VC")) { prefix = "Nearby "; t = t.slice(2); }
+
+  if (t.length % 2) return null;
+
+  const desc = [];
+  const phen = [];
+  for (let i = 0; i < t.length; i += 2) {
+    const p = t.slice(i, i + 2);
+    if (DESCRIPTORS[p]) desc.push(DESCRIPTORS[p]);
+    else if (PHENOMENA[p]) phen.push(PHENOMENA[p]);
+    else return null;
+  }
+  if (!desc.length && !phen.length) return null;
+
+  let phrase;
+  if (desc.includes("Thunderstorms") && phen.length) {
+    phrase = `Thunderstorms with ${phen.join(" and ").toLowerCase()}`;
+  } else if (desc.includes("Showers") && phen.length === 1) {
+    phrase = `${phen[0].toLowerCase()} showers`;
+  } else if (desc.includes("Freezing") && phen.length === 1) {
+    phrase = `Freezing ${phen[0].toLowerCase()}`;
+  } else if (phen.length) {
+    phrase = phen.join(" and ").toLowerCase();
+  } else {
+    phrase = desc.join(" ").toLowerCase();
+  }
+
+  phrase = phrase.charAt(0).toUpperCase() + phrase.slice(1);
+  return prefix ? `${prefix}${phrase.toLowerCase()}` : phrase;
+}
+
+function parseWeather(body) {
+  const seen = new Set();
+
+  for (const tok of body.trim().split(/\s+/)) {
+    if (!/^(?:[+-]|VC)?[A-Z]{2,8}$/.test(tok)) continue;
+    if (/^(?:METAR|SPECI|AUTO|COR|CLR|SKC|NSC|NCD|CAVOK)$/.test(tok)) continue;
+
+    const text = decodeWxToken(tok);
+    if (text) seen.add(text);
+  }
+
+  return [...seen];
+}
+
+function decodeMetar(raw) {
+  const clean = String(raw || "").trim();
+  if (!clean || clean === "—") return null;
+
+  const body = metarBody(clean);
+  const vis = parseVisibility(body);
+  const clouds = parseClouds(body);
+  const { tempC, dewpointC } = parseTemps(body);
+  const weather = parseWeather(body);
+
+  return {
+    wind: parseWind(body),
+    visibilitySM: vis?.visSM ?? null,
+    visibilityText: vis?.text ?? null,
+    clouds,
+    ceilingFt: ceilingOf(clouds),
+    weather,
+    weatherText: weather.length ? weather.slice(0, 2).join(", ") : null,
+    tempC,
+    dewpointC,
+    tempF: cToF(tempC),
+    dewpointF: cToF(dewpointC)
+  };
+}
+
+// Headwind is negative for a tailwind; fromSide says which side of the runway
+// the crosswind comes from. Variable winds have no direction to resolve.
+function windComponents(wind, headingDeg) {
+  if (!wind || !Number.isFinite(headingDeg)) return null;
+  if (wind.calm) return { headwindKt: 0, crosswindKt: 0, gustCrosswindKt: null, fromSide: null };
+  if (wind.dirDeg === null) return null;
+
+  const angle = ((wind.dirDeg - headingDeg) * Math.PI) / 180;
+  const cross = Math.sin(angle);
+
+  return {
+    headwindKt: Math.round(wind.speedKt * Math.cos(angle)) || 0,
+    crosswindKt: Math.round(Math.abs(wind.speedKt * cross)),
+    gustCrosswindKt: wind.gustKt ? Math.round(Math.abs(wind.gustKt * cross)) : null,
+    fromSide: Math.abs(cross) < 1e-9 ? null : cross > 0 ? "right" : "left"
+  };
+}
+
+// Registry runways are { id: "10L/28R", headings: [100, 280] }; one entry per
+// runway end. Headings are magnetic while the METAR wind is true, so each is
+// turned true with the airport's magnetic variation (east positive, so a
+// 10-degree west variation is -10). headingDeg is the true heading used.
+function runwayWinds(wind, runways, magVarDeg = 0) {
+  const out = [];
+  const variation = Number(magVarDeg) || 0;
+
+  for (const rwy of runways || []) {
+    const ends = String(rwy.id || "").split("/");
+
+    ends.forEach((end, i) => {
+      const magnetic = Number(rwy.headings?.[i]);
+      const headingDeg = Number(((((magnetic + variation) % 360) + 360) % 360).toFixed(1));
+
+      const components = windComponents(wind, headingDeg);
+      if (components) out.push({ runway: end, headingDeg, ...components });
+    });
+  }
+
+  return out;
+}
+
+// Flags the airport when even the runway end with the least crosswind (among
+// those without a tailwind) sees CROSSWIND_ALERT_KT or more, gusts included.
+function crosswindAlert(ends, thresholdKt = CROSSWIND_ALERT_KT) {
+  const usable = ends.filter(e => e.headwindKt >= 0);
+  const peak = (e) => Math.max(e.crosswindKt, e.gustCrosswindKt ?? 0);
+
+  const best = (usable.length ? usable : ends).reduce((a, b) => (a && peak(a) <= peak(b) ? a : b), null);
+  if (!best || peak(best) < thresholdKt) return null;
+
+  const speed = best.gustCrosswindKt ? `${best.crosswindKt}G${best.gustCrosswindKt}` : `${best.crosswindKt}`;
+
+  return {
+    runway: best.runway,
+    crosswindKt: best.crosswindKt,
+    gustCrosswindKt: best.gustCrosswindKt,
+    text: `crosswind ${speed} on ${best.runway}`
+  };
+}
+
+export {
+  CROSSWIND_ALERT_KT,
+  decodeMetar,
+  decodeWxToken,
+  windComponents,
+  runwayWinds,
+  crosswindAlert
+};
@@ -0,0 +1,251 @@
+import { XMLParser } from "fast-xml-parser";
+
+// Reads the FAA NAS airport-status XML into one entry per registry airport:
+//
+//   { status, delay, programs:[{ type, status, label, reason, start, end,
+//     startText, endText, minDelay, maxDelay, avgDelay, trend, details }] }
+//
+// status is the most severe program's, delay the worst average (or maximum)
+// delay in minutes as a string, "—" when none is reported. start and end are
+// ISO times (null when NAS gives none or an unreadable one); *Text keep what
+// NAS wrote.
+
+const STATUS_PRIORITY = [
+  "Closed",
+  "Ground Stop",
+  "Ground Delay",
+  "Arrival Delay",
+  "Departure Delay",
+  "Deicing",
+  "Weather",
+  "Other",
+  "OK",
+  "Unknown"
+];
+
+function betterStatus(a, b) {
+  const ia = STATUS_PRIORITY.indexOf(a);
+  const ib = STATUS_PRIORITY.indexOf(b);
+  if (ia === -1 && ib === -1) return a;
+  if (ia === -1) return b;
+  if (ib === -1) return a;
+  return ia <= ib ? a : b;
+}
+
+function toArray(v) {
+  if (!v) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function pickFirst(...vals) {
+  for (const v of vals) {
+    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+  }
+  return null;
+}
+
+// Each <Delay_type> in the NAS airport-status XML holds one *_List of records.
+// Lists not named here are kept as "Other" with the Delay_type name as label.
+const NAS_LISTS = {
+  Ground_Delay_List: { type: "GDP", status: "Ground Delay", label: "Ground delay program" },
+  Ground_Stop_List: { type: "GS", status: "Ground Stop", label: "Ground stop" },
+  Arrival_Departure_Delay_List: { type: "DELAY", status: "Arrival Delay", label: "Delay" },
+  Airport_Closure_List: { type: "CLOSURE", status: "Closed", label: "Airport closure" },
+  Deicing_List: { type: "DEICING", status: "Deicing", label: "Deicing" }
+};
+
+const NAS_MAPPED_FIELDS = new Set([
+  "ARPT", "Reason", "Start", "Start_Time", "End", "End_Time", "Reopen", "Expected_End",
+  "Min", "Max", "Avg", "Average", "Trend", "Arrival_Departure"
+]);
+
+// NAS lists airports by FAA identifier (PHL, UNV); the registry is ICAO.
+function nasAirportIcao(code, airports) {
+  const c = String(code || "").trim().toUpperCase();
+  if (!c) return null;
+
+  const match =
+    airports.find(a => a.icao === c) ||
+    airports.find(a => a.iata === c) ||
+    airports.find(a => a.icao === `K${c}`);
+
+  return match ? match.icao : null;
+}
+
+const NAS_ZONE_HOURS = {
+  UTC: 0, GMT: 0, Z: 0,
+  EST: -5, EDT: -4, CST: -6, CDT: -5, MST: -7, MDT: -6, PST: -8, PDT: -7
+};
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+const NAS_TIME_RE = new RegExp(
+  `^(?:(${MONTHS.join("|")})[A-Z]*\\.?\\s+(\\d{1,2})(?:\\s+AT)?\\s+)?` +
+  `(\\d{1,2}):?(\\d{2})\\s*(AM|PM)?\\s*(${Object.keys(NAS_ZONE_HOURS).join("|")})$`
+);
+
+// Program times come as "3:30 pm EDT", "Oct 20 at 2200 UTC" or a full
+// timestamp. A time without a date (or a date without a year) is taken on the
+// day (or year) that puts it nearest refMs, the feed's update time.
+function nasTime(text, refMs) {
+  const s = String(text || "").trim().toUpperCase().replace(/\s+/g, " ");
+  if (!s) return null;
+
+  const m = s.match(NAS_TIME_RE);
+  if (!m) {
+    const ms = /\b(?:19|20)\d{2}\b/.test(s) ? Date.parse(s) : NaN;
+    return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+  }
+
+  let hour = Number(m[3]);
+  const minute = Number(m[4]);
+  if (m[5] === "PM" && hour < 12) hour += 12;
+  if (m[5] === "AM" && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+
+  const offset = NAS_ZONE_HOURS[m[6]];
+  const local = new Date(refMs + offset * 3600000);
+  const at = (y, mo, d) => Date.UTC(y, mo, d, hour, minute) - offset * 3600000;
+
+  const candidates = m[1]
+    ? [-1, 0, 1].map(k => at(local.getUTCFullYear() + k, MONTHS.indexOf(m[1]), Number(m[2])))
+    : [-1, 0, 1].map(k => at(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + k));
+
+  const ms = candidates.reduce((a, b) => (Math.abs(b - refMs) < Math.abs(a - refMs) ? b : a));
+  return new Date(ms).toISOString();
+}
+
+// "1 hour and 3 minutes", "45 minutes", "2 hrs" -> minutes.
+function delayMinutes(text) {
+  const s = String(text ?? "").toLowerCase();
+  if (!s.trim()) return null;
+
+  const hours = s.match(/(\d+(?:\.\d+)?)\s*(?:hours?|hrs?)\b/);
+  const mins = s.match(/(\d+)\s*(?:minutes?|mins?)\b/);
+
+  if (!hours && !mins) {
+    const n = Number(s.replace(/[^\d.]/g, ""));
+    return Number.isFinite(n) && s.match(/\d/) ? Math.round(n) : null;
+  }
+
+  return Math.round((hours ? Number(hours[1]) * 60 : 0) + (mins ? Number(mins[1]) : 0));
+}
+
+function nasText(v) {
+  if (v === undefined || v === null) return null;
+  if (typeof v === "object") return nasText(v["#text"]);
+  const s = String(v).trim().replace(/\.$/, "");
+  return s || null;
+}
+
+function nasDetails(node) {
+  const details = {};
+
+  for (const [k, v] of Object.entries(node || {})) {
+    if (NAS_MAPPED_FIELDS.has(k) || k.startsWith("@_")) continue;
+    const text = nasText(v);
+    if (text) details[k] = text;
+  }
+
+  return Object.keys(details).length ? details : null;
+}
+
+function nasProgram(kind, node, refMs) {
+  const startText = nasText(pickFirst(node.Start, node.Start_Time));
+  const endText = nasText(pickFirst(node.End_Time, node.End, node.Reopen, node.Expected_End));
+
+  return {
+    type: kind.type,
+    status: kind.status,
+    label: kind.label,
+    reason: nasText(node.Reason),
+    start: nasTime(startText, refMs),
+    end: nasTime(endText, refMs),
+    startText,
+    endText,
+    minDelay: delayMinutes(nasText(node.Min)),
+    maxDelay: delayMinutes(nasText(node.Max)),
+    avgDelay: delayMinutes(nasText(pickFirst(node.Avg, node.Average))),
+    trend: nasText(node.Trend),
+    details: nasDetails(node)
+  };
+}
+
+// General arrival/departure delays carry one Arrival_Departure element per
+// direction with its own min, max and trend.
+function nasDelayPrograms(kind, node, refMs) {
+  const legs = toArray(node.Arrival_Departure);
+  if (!legs.length) return [nasProgram(kind, node, refMs)];
+
+  return legs.map(leg => {
+    const dir = String(leg?.["@_Type"] || "").toLowerCase().startsWith("dep") ? "Departure" : "Arrival";
+
+    return nasProgram(
+      { type: dir === "Departure" ? "DEP" : "ARR", status: `${dir} Delay`, label: `${dir} delay` },
+      { ...node, ...(typeof leg === "object" ? leg : {}) },
+      refMs
+    );
+  });
+}
+
+// nowMs stands in for the feed's Update_Time when that is missing.
+function parseNasXml(xmlText, airports, nowMs = Date.now()) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    allowBooleanAttributes: true,
+    parseTagValue: false
+  });
+
+  const root = parser.parse(xmlText);
+  const info = root?.AIRPORT_STATUS_INFORMATION || root || {};
+
+  const updatedAt = nasTime(nasText(info.Update_Time), nowMs);
+  const refMs = updatedAt ? Date.parse(updatedAt) : nowMs;
+
+  const out = {};
+  for (const a of airports) out[a.icao] = { status: "OK", delay: "—", programs: [] };
+
+  for (const delayType of toArray(info.Delay_type)) {
+    const name = nasText(delayType?.Name) || "NAS event";
+
+    for (const [listKey, list] of Object.entries(delayType || {})) {
+      if (!listKey.endsWith("_List") || !list || typeof list !== "object") continue;
+
+      const kind = NAS_LISTS[listKey] || { type: "OTHER", status: "Other", label: name };
+
+      for (const items of Object.values(list)) {
+        for (const node of toArray(items)) {
+          if (!node || typeof node !== "object") continue;
+
+          const icao = nasAirportIcao(nasText(node.ARPT), airports);
+          if (!icao) continue;
+
+          const programs = kind.type === "DELAY" ? nasDelayPrograms(kind, node, refMs) : [nasProgram(kind, node, refMs)];
+          out[icao].programs.push(...programs);
+        }
+      }
+    }
+  }
+
+  for (const airport of Object.values(out)) {
+    const programs = airport.programs;
+    if (!programs.length) continue;
+
+    airport.status = programs.reduce((st, p) => betterStatus(st, p.status), "Unknown");
+
+    const worst = Math.max(0, ...programs.map(p => p.avgDelay ?? p.maxDelay ?? 0));
+    if (worst > 0) airport.delay = String(worst);
+  }
+
+  return { updatedAt, airports: out };
+}
+
+export {
+  STATUS_PRIORITY,
+  betterStatus,
+  nasAirportIcao,
+  nasTime,
+  delayMinutes,
+  parseNasXml
+};
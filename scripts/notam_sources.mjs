@@ -0,0 +1,188 @@
+import fs from "node:fs/promises";
+
+// Every source resolves fetchNotams(icao) to the raw FAA NOTAM API items for
+// one airport. `asOf` is the time the items describe: null for a live source,
+// the recording time for a replay, so effective windows are judged against it.
+//
+// normalizeNotam() keeps only aerodrome-level items and reduces them to:
+//
+//   { id, number, category, runway, navaid, text, effectiveStart,
+//     effectiveEnd, estimatedEnd, permanent }
+//
+// with category one of airport, runway, taxiway or navaid.
+
+const FAA_NOTAM_URL = "https://external-api.faa.gov/notamapi/v1/notams";
+
+const NAVAIDS = "ILS|LOC|LOCALIZER|GS|GP|GLIDESLOPE|DME|VOR|VORTAC|TACAN|NDB|LDA|SDF";
+const OUTAGE = "U\\/S|OTS|UNSERVICEABLE|OUT OF SERVICE|UNMONITORED|NOT AVBL";
+
+// Matched against the NOTAM text after its "!ABE 10/012 ABE" header, so the
+// leading keyword decides the category: a taxiway closure that names a runway
+// is still a taxiway item.
+const NOTAM_RULES = [
+  { category:"airport", re:/^(?:AD\s+)?AP\s+CLSD\b/ },
+  { category:"runway", re:/^RWY\s+(\d{1,2}[LRC]?(?:\/\d{1,2}[LRC]?)?)\s+CLSD\b/ },
+  { category:"taxiway", re:/^TWY\b.*\bCLSD\b/ },
+  { category:"navaid", re:new RegExp(`^(?:NAV\\s+)?((?:RWY\\s+\\S+\\s+)?(?:${NAVAIDS})\\b(?:\\s+(?:RWY\\s+\\S+|${NAVAIDS}))*)\\b.*\\b(?:${OUTAGE})(?:\\s|$)`) }
+];
+
+function httpError(message, status){
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isoOrNull(v){
+  const ms = Date.parse(String(v || "").replace(/\s*EST$/i, ""));
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function notamText(notam, translations){
+  const local = (translations || []).find(t => t.type === "LOCAL_FORMAT")?.simpleText;
+
+  return String(notam.text || local || "")
+    .toUpperCase()
+    .replace(/\s+/g, " ")
+    .replace(/^!\S+\s+\d{1,2}\/\d{3,4}\s+\S+\s+/, "")
+    .trim();
+}
+
+function classifyNotam(text){
+  for (const rule of NOTAM_RULES) {
+    const m = text.match(rule.re);
+    if (!m) continue;
+
+    return {
+      category:rule.category,
+      runway:rule.category === "runway" ? m[1] : null,
+      navaid:rule.category === "navaid" ? m[1].replace(/\s+/g, " ").trim() : null
+    };
+  }
+
+  return null;
+}
+
+function normalizeNotam(item){
+  const core = item?.properties?.coreNOTAMData || item?.coreNOTAMData;
+  const notam = core?.notam;
+  if (!notam) return null;
+
+  const text = notamText(notam, core.notamTranslation);
+  const kind = classifyNotam(text);
+  if (!kind) return null;
+
+  const end = String(notam.effectiveEnd || "").trim();
+
+  return {
+    id:notam.id || null,
+    number:notam.number || null,
+    ...kind,
+    text,
+    effectiveStart:isoOrNull(notam.effectiveStart),
+    effectiveEnd:isoOrNull(end),
+    estimatedEnd:/EST$/i.test(end) || notam.estimatedEnd === "Y",
+    permanent:/^PERM$/i.test(end)
+  };
+}
+
+function isNotamActive(n, nowMs){
+  const start = Date.parse(n.effectiveStart || "");
+  const end = Date.parse(n.effectiveEnd || "");
+  if (Number.isFinite(start) && start > nowMs) return false;
+  if (Number.isFinite(end) && end < nowMs) return false;
+  return true;
+}
+
+function summarizeNotams(notams, nowMs){
+  const active = notams.filter(n => isNotamActive(n, nowMs));
+  const airportClosed = active.some(n => n.category === "airport");
+  const closedRunways = [...new Set(active.filter(n => n.category === "runway").map(n => n.runway))];
+
+  return {
+    runwayClosed:airportClosed || closedRunways.length > 0,
+    airportClosed,
+    closedRunways,
+    navaidOutages:[...new Set(active.filter(n => n.category === "navaid").map(n => n.navaid))]
+  };
+}
+
+/* ---------- FAA ---------- */
+
+function createFaaNotamSource({
+  clientId = process.env.FAA_NOTAM_CLIENT_ID,
+  clientSecret = process.env.FAA_NOTAM_CLIENT_SECRET
+} = {}){
+  return {
+    name:"faa",
+    available:!!(clientId && clientSecret),
+    asOf:null,
+
+    async fetchNotams(icao){
+      const url = `${FAA_NOTAM_URL}?icaoLocation=${encodeURIComponent(icao)}&pageSize=1000`;
+
+      const r = await fetch(url, {
+        headers:{ client_id:clientId, client_secret:clientSecret, accept:"application/json" },
+        signal:AbortSignal.timeout(20000)
+      });
+
+      if (!r.ok) throw httpError(`FAA NOTAM fetch failed for ${icao}: ${r.status} ${r.statusText}`, r.status);
+
+      const j = await r.json();
+      return Array.isArray(j?.items) ? j.items : [];
+    }
+  };
+}
+
+/* ---------- REPLAY ---------- */
+
+// Reads a recording of raw API items: { recorded_at, airports:{ KABE:[...] } }.
+// There is no default file, so a replay can never quietly publish test data.
+function createReplayNotamSource({
+  file = process.env.NOTAM_REPLAY_FILE
+} = {}){
+  if (!file) throw new Error("NOTAM replay needs a recording: set NOTAM_REPLAY_FILE.");
+
+  let recorded = null;
+
+  async function load(){
+    if (!recorded) recorded = JSON.parse(await fs.readFile(file, "utf8"));
+    return recorded;
+  }
+
+  const source = {
+    name:"replay",
+    available:true,
+    asOf:null,
+
+    async fetchNotams(icao){
+      const json = await load();
+      source.asOf = json.recorded_at || null;
+      return Array.isArray(json.airports?.[icao]) ? json.airports[icao] : [];
+    }
+  };
+
+  return source;
+}
+
+const SOURCE_FACTORIES = {
+  faa:createFaaNotamSource,
+  replay:createReplayNotamSource
+};
+
+// NOTAM_SOURCE=replay runs the updater offline against the recording named by
+// NOTAM_REPLAY_FILE.
+function createNotamSource(name = process.env.NOTAM_SOURCE || "faa"){
+  const factory = SOURCE_FACTORIES[String(name).trim().toLowerCase()];
+  if (!factory) throw new Error(`Unknown NOTAM source "${name}".`);
+  return factory();
+}
+
+export {
+  createNotamSource,
+  createFaaNotamSource,
+  createReplayNotamSource,
+  normalizeNotam,
+  classifyNotam,
+  isNotamActive,
+  summarizeNotams
+};
@@ -1,5 +1,247 @@
-import { chromium } from "playwright";
 import fs from "fs";
+import { pathToFileURL } from "url";
+import { fetch511Incident, normalizeIncident, decodePolyline } from "./update_tq_live.mjs";
+
+const SCRAPE_MODE = String(process.env.SCRAPE_511_MODE || "auto").trim().toLowerCase();
+const LIST_TIME_ZONE = "America/New_York";
+const MAX_LIST_PAGES = Number(process.env.SCRAPE_511_MAX_PAGES || 20);
+
+/* ---------- JSON LIST FETCH ---------- */
+
+// Column layouts mirror the rendered 511PA tables so the builders below can
+// keep looking columns up by header text no matter which mode produced them.
+const LIST_COLUMNS = {
+  road_conditions: [
+    { header: "", keys: [] },
+    { header: "Type", keys: ["type", "typeName", "eventType"] },
+    { header: "Roadway", keys: ["roadwayName", "roadway", "roadName"] },
+    { header: "State", keys: ["state", "stateName"] },
+    { header: "County", keys: ["county", "countyName"] },
+    { header: "Description", keys: ["description", "locationDescription", "location"] },
+    { header: "Condition", keys: ["condition", "roadCondition", "conditionDescription", "primaryCondition"] },
+    { header: "Last Updated", keys: ["lastUpdated", "lastUpdatedDate", "updated"], time: true },
+    { header: "Map", keys: [], map: true }
+  ],
+  travel_delays: [
+    { header: "", keys: [] },
+    { header: "Type", keys: ["type", "typeName", "eventType"] },
+    { header: "Roadway", keys: ["roadwayName", "roadway", "roadName"] },
+    { header: "State", keys: ["state", "stateName"] },
+    { header: "County", keys: ["county", "countyName"] },
+    { header: "Description", keys: ["description", "eventDescription"] },
+    { header: "Start Time", keys: ["startDate", "startTime", "reported", "reportedDate"], time: true },
+    { header: "Anticipated End Time", keys: ["endDate", "plannedEndDate", "anticipatedEndTime", "endTime"], time: true },
+    { header: "Last Updated", keys: ["lastUpdated", "lastUpdatedDate", "updated"], time: true },
+    { header: "Map", keys: [], map: true }
+  ],
+  restrictions: [
+    { header: "", keys: [] },
+    { header: "Description", keys: ["description", "restrictionDescription"] },
+    { header: "Roadway", keys: ["roadwayName", "roadway", "roadName"] },
+    { header: "Start Time", keys: ["startDate", "startTime", "reported"], time: true },
+    { header: "Action", keys: [], map: true }
+  ]
+};
+
+function pickField(record, keys) {
+  if (!record || typeof record !== "object") return null;
+
+  const lower = {};
+  for (const [k, v] of Object.entries(record)) lower[k.toLowerCase()] = v;
+
+  for (const key of keys) {
+    const v = lower[key.toLowerCase()];
+    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+  }
+
+  return null;
+}
+
+function formatListTime(value) {
+  if (value === null || value === undefined || value === "") return "";
+
+  const raw = String(value).trim();
+  if (/^\d{1,2}\/\d{1,2}\/\d{2,4}\s*,/.test(raw)) return norm(raw);
+
+  let d;
+  if (typeof value === "number") {
+    d = new Date(value < 1e12 ? value * 1000 : value);
+  } else {
+    const ms = raw.match(/\/Date\((-?\d+)/);
+    d = ms ? new Date(Number(ms[1])) : new Date(raw);
+  }
+
+  if (Number.isNaN(d.getTime())) return norm(raw);
+
+  return norm(new Intl.DateTimeFormat("en-US", {
+    timeZone: LIST_TIME_ZONE,
+    year: "2-digit",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true
+  }).format(d));
+}
+
+function listRecordMapLink(record) {
+  const id = pickField(record, ["id", "eventId", "DT_RowId"]);
+  const layer = pickField(record, ["layerName", "layer", "layerId", "eventLayer"]);
+  if (!id || !layer) return "";
+
+  return `https://www.511pa.com/map#${String(layer).replace(/\s+/g, "")}-${String(id).replace(/\D+/g, "")}`;
+}
+
+function listRecordToRow(record, columns) {
+  const mapLink = listRecordMapLink(record);
+
+  const cells = columns.map(c => {
+    if (c.map) return mapLink ? "View on map" : "";
+    const v = pickField(record, c.keys);
+    if (v === null) return "";
+    return c.time ? formatListTime(v) : norm(v);
+  });
+
+  const links = columns.map(c => (c.map ? mapLink : ""));
+  const text = cells.filter(Boolean).join("\t");
+
+  return {
+    eventId: rowEventId({ links, text }),
+    cells,
+    links,
+    html: "",
+    text
+  };
+}
+
+function listDataUrl(o, start, length) {
+  const query = {
+    columns: [],
+    order: [{ column: o.order?.column ?? 0, dir: o.order?.dir || "asc" }],
+    start,
+    length,
+    search: { value: "", regex: false }
+  };
+
+  return `https://www.511pa.com/List/GetData/${encodeURIComponent(o.listType)}` +
+    `?query=${encodeURIComponent(JSON.stringify(query))}&lang=en-US`;
+}
+
+async function fetchListPage(o, start, length) {
+  const r = await fetch(listDataUrl(o, start, length), {
+    headers: {
+      "Accept": "application/json, text/javascript, */*; q=0.01",
+      "User-Agent": "Mozilla/5.0 pa-alerts-511-scraper",
+      "X-Requested-With": "XMLHttpRequest",
+      "Referer": o.url
+    },
+    signal: AbortSignal.timeout(30000)
+  });
+
+  if (!r.ok) throw new Error(`511PA list ${o.listType} failed: ${r.status} ${r.statusText}`);
+
+  const body = await r.text();
+
+  let json;
+  try {
+    json = JSON.parse(body);
+  } catch {
+    throw new Error(`511PA list ${o.listType} did not return JSON.`);
+  }
+
+  if (!Array.isArray(json?.data)) {
+    throw new Error(`511PA list ${o.listType} JSON has no data array.`);
+  }
+
+  return json;
+}
+
+function reportedTotal(json) {
+  const n = Number(json?.recordsFiltered ?? json?.recordsTotal);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+async function fetchListJson(o) {
+  const columns = LIST_COLUMNS[o.name];
+  if (!columns) throw new Error(`No JSON column layout for ${o.name}`);
+
+  const length = o.pageLength || 100;
+  const records = [];
+  let total = null;
+  let pages = 0;
+
+  while (pages < MAX_LIST_PAGES) {
+    const json = await fetchListPage(o, records.length, length);
+    pages++;
+
+    if (total === null) total = reportedTotal(json);
+
+    records.push(...json.data);
+
+    if (!json.data.length) break;
+    if (total === null && json.data.length < length) break;
+    if (total !== null && records.length >= total) break;
+  }
+
+  return finishPagedTable({
+    url: o.url,
+    fetched_at: new Date().toISOString(),
+    mode: "json",
+    headers: columns.map(c => c.header),
+    rows: records.map(rec => listRecordToRow(rec, columns))
+  }, o, total, pages);
+}
+
+// Every list is walked to the reported total; a short final page means the
+// board would silently miss events, so flag it on the table and in the log.
+function finishPagedTable(table, o, total, pages) {
+  const rowCount = table.rows.length;
+  const truncated = total !== null && rowCount < total;
+
+  if (truncated) {
+    console.warn(`WARNING: ${o.name} returned ${rowCount} of ${total} reported rows after ${pages} page(s); list is incomplete.`);
+  }
+
+  return {
+    ...table,
+    row_count: rowCount,
+    total_reported: total,
+    pages,
+    truncated
+  };
+}
+
+/* ---------- RENDERED TABLE FALLBACK ---------- */
+
+let browserPromise = null;
+
+function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = import("playwright").then(({ chromium }) => chromium.launch());
+  }
+  return browserPromise;
+}
+
+async function closeBrowser() {
+  if (!browserPromise) return;
+  const browser = await browserPromise.catch(() => null);
+  browserPromise = null;
+  if (browser) await browser.close();
+}
+
+async function scrapeList(o) {
+  if (SCRAPE_MODE !== "browser") {
+    try {
+      return await fetchListJson(o);
+    } catch (err) {
+      if (SCRAPE_MODE === "json") throw err;
+      console.warn(`JSON fetch for ${o.name} failed (${err.message}); falling back to rendered table.`);
+    }
+  }
+
+  const data = await scrapeSimpleTable(await getBrowser(), o.url, "table");
+  return finishPagedTable({ ...data, mode: "browser" }, o, data.total_reported, data.pages);
+}
 
 async function scrapeSimpleTable(browser, url, tableSelector = "table") {
   const page = await browser.newPage();
@@ -23,8 +265,9 @@ async function scrapeSimpleTable(browser, url, tableSelector = "table") {
       ths.map(th => th.innerText.trim())
     );
 
-    const rows = await page.$$eval(`${tableSelector} tbody tr`, trs =>
-      trs.map(tr => {
+    // An empty DataTable renders a single "No data available" placeholder row.
+    const readRows = () => page.$$eval(`${tableSelector} tbody tr`, trs =>
+      trs.filter(tr => !tr.querySelector("td.dataTables_empty")).map(tr => {
         const tds = Array.from(tr.querySelectorAll("td"));
 
         const cells = tds.map(td => td.innerText.trim());
@@ -60,12 +303,46 @@ async function scrapeSimpleTable(browser, url, tableSelector = "table") {
       })
     );
 
-    return { url, fetched_at: new Date().toISOString(), headers, rows };
+    const rows = await readRows();
+    const total = await readDataTablesTotal(page);
+    let pages = 1;
+
+    while (total !== null && rows.length < total && pages < MAX_LIST_PAGES) {
+      const next = await page.$(".dataTables_paginate .next:not(.disabled), .paginate_button.next:not(.disabled)");
+      if (!next) break;
+
+      const firstBefore = await page.$eval(`${tableSelector} tbody tr`, tr => tr.innerText).catch(() => "");
+      await next.click();
+
+      try {
+        await page.waitForFunction(
+          ([sel, prev]) => {
+            const tr = document.querySelector(`${sel} tbody tr`);
+            return tr && tr.innerText !== prev;
+          },
+          [tableSelector, firstBefore],
+          { timeout: 15000 }
+        );
+      } catch {
+        break;
+      }
+
+      rows.push(...await readRows());
+      pages++;
+    }
+
+    return { url, fetched_at: new Date().toISOString(), headers, rows, total_reported: total, pages };
   } finally {
     await page.close();
   }
 }
 
+async function readDataTablesTotal(page) {
+  const info = await page.$eval(".dataTables_info", el => el.innerText).catch(() => "");
+  const m = String(info).replace(/,/g, "").match(/of\s+(\d+)\s+entries/i);
+  return m ? Number(m[1]) : null;
+}
+
 /* ---------- HELPERS ---------- */
 
 function idx(headers, name) {
@@ -107,6 +384,14 @@ function rowEventId(row) {
   return m ? m[1] : null;
 }
 
+function rowEventLayer(row) {
+  const haystack = `${(row?.links || []).join(" ")} ${row?.html || ""}`;
+  const m =
+    haystack.match(/#([A-Za-z]+)-\d+/) ||
+    haystack.match(/\/map\/data\/([A-Za-z]+)\/\d+/);
+  return m ? m[1] : null;
+}
+
 function parseRoute(desc) {
   const m = String(desc || "").match(/\b(I|US|PA)\s*[- ]?\s*(\d{1,3})\b/i);
   if (!m) return null;
@@ -332,14 +617,198 @@ function applyMileMarkerCleanup(narrative, sourceText) {
   return narrative;
 }
 
+/* ---------- MILE MARKERS ---------- */
+
+const MILEPOST_TABLE_PATH = new URL("../data/pa_interstate_mileposts.json", import.meta.url);
+
+let milepostTable = null;
+
+function loadMilepostTable() {
+  if (!milepostTable) milepostTable = readJsonFile(MILEPOST_TABLE_PATH) || { routes: {} };
+  return milepostTable;
+}
+
+function milepostRoute(route, table = loadMilepostTable()) {
+  return table.routes?.[route] || null;
+}
+
+function inMilepostRange(ref, mm) {
+  const [lo, hi] = ref.mm_range || [-Infinity, Infinity];
+  return Number.isFinite(mm) && mm >= lo && mm <= hi;
+}
+
+// Exit numbers only resolve through the route's exits table; an exit number
+// is not assumed to be its milepost. Lettered ramps (57A, 57B) share the
+// base exit's entry unless the table lists them separately.
+function exitMilepost(ref, exit) {
+  const key = String(exit || "").toUpperCase();
+  const mm = ref.exits?.[key] ?? ref.exits?.[key.replace(/[A-Z]$/, "")];
+  return mm != null ? Number(mm) : null;
+}
+
+function namedPointMilepost(ref, text) {
+  const s = norm(text).toLowerCase();
+  if (!s) return null;
+
+  const point = (ref.points || []).find(p => {
+    const name = p.name.toLowerCase();
+    const core = name.replace(/\s+(?:service plaza|rest area|state line)$/, "");
+    return s.includes(name) || (core !== name && new RegExp(`\\b${core}\\s+(?:service plaza|rest area|plaza)\\b`).test(s));
+  });
+
+  return point ? point.mm : null;
+}
+
+function offsetSign(ref, dirWord) {
+  return (ref.increasing || ["north", "east"]).includes(dirWord.toLowerCase()) ? 1 : -1;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Each strategy returns the mileposts it could find; the first one that finds
+// any wins. Explicit mile posts beat exit offsets, which beat bare exits and
+// named plazas.
+const MILEPOST_STRATEGIES = [
+  (ref, text) => {
+    const mm = extractMileMarker(text);
+    if (!mm) return [];
+    return mm.type === "range" ? [Number(mm.start), Number(mm.end)] : [Number(mm.value)];
+  },
+  (ref, text) =>
+    [...text.matchAll(/\b(?:MM|mile marker|mile post)\s*:?\s*(\d+(?:\.\d+)?)(?:\s*(?:and|to|-)\s*(\d+(?:\.\d+)?))?/gi)]
+      .flatMap(m => [m[1], m[2]])
+      .filter(Boolean)
+      .map(Number),
+  (ref, text) =>
+    [...text.matchAll(/(\d*\.?\d+)\s*miles?\s+(north|south|east|west)\s+of\s+Exit\s+(\d+[A-Z]?)/gi)]
+      .map(m => {
+        const base = exitMilepost(ref, m[3]);
+        return base == null ? null : base + offsetSign(ref, m[2]) * Number(m[1]);
+      }),
+  (ref, text) => {
+    const exits = [...text.matchAll(/\bExit\s+(\d+[A-Z]?)\b/gi)].map(m => m[1]);
+    const between = parseBetweenExits(text);
+    for (const end of between ? [between.from, between.to] : []) {
+      const m = end.match(/\((\d+[A-Z]?)\)$/);
+      if (m) exits.push(m[1]);
+    }
+    return exits.map(exit => exitMilepost(ref, exit));
+  },
+  (ref, text) =>
+    text.split(/\s+(?:and|to)\s+/i).map(part => namedPointMilepost(ref, part))
+];
+
+// Places an event on its route's milepost line. from_mm/to_mm are ordered
+// low to high regardless of travel direction so events sort along a corridor.
+function resolveMileMarkers({ route, description, from, to }, table = loadMilepostTable()) {
+  const empty = { from_mm: null, to_mm: null, length_miles: null };
+
+  const ref = milepostRoute(route, table);
+  if (!ref) return empty;
+
+  const text = [description, from, to].filter(Boolean).join(" | ");
+
+  for (const strategy of MILEPOST_STRATEGIES) {
+    const mms = strategy(ref, text).filter(mm => mm != null && inMilepostRange(ref, mm));
+    if (!mms.length) continue;
+
+    const lo = round1(Math.min(...mms));
+    const hi = round1(Math.max(...mms));
+    return { from_mm: lo, to_mm: hi, length_miles: round1(hi - lo) };
+  }
+
+  return empty;
+}
+
+/* ---------- INCIDENT CLASSIFICATION ---------- */
+
+// Checked in order, so the more specific truck and fire wording wins over a
+// plain "crash" in the same description.
+const INCIDENT_CAUSES = [
+  { cause: "jackknifed_or_overturned_truck", re: /\bjack-?knif|\boverturn|\brolled over\b|\brollover\b/i },
+  { cause: "vehicle_fire", re: /\b(?:vehicle|car|truck|tractor[\s-]trailer|bus|rv)\s+fire\b|\bon fire\b/i },
+  { cause: "multi_vehicle_crash", re: /\bmulti[\s-]?vehicle\b|\bmultiple vehicles?\b|\b(?:two|three|four|five|six|\d+)[\s-]vehicle\s+(?:crash|collision|accident)\b|\bpile[\s-]?up\b/i },
+  { cause: "crash", re: /\bcrash(?:es)?\b|\bcollision\b|\baccident\b/i },
+  { cause: "disabled_vehicle", re: /\bdisabled\b|\bstalled\b|\bbroken down\b/i },
+  { cause: "downed_wires", re: /\b(?:downed|fallen)\s+(?:wires?|power lines?|utility lines?)\b|\b(?:wires?|power lines?)\s+down\b|\butility pole\b/i },
+  { cause: "debris", re: /\bdebris\b|\b(?:spilled|lost)\s+(?:load|cargo)\b|\bobjects? in (?:the )?road(?:way)?\b|\b(?:downed|fallen)\s+trees?\b|\btrees?\s+down\b/i },
+  { cause: "flooding", re: /\bflood(?:ing|ed)?\b|\bhigh water\b|\bwater (?:over|on) (?:the )?road(?:way)?\b/i },
+  { cause: "weather", re: /\bweather\b|\bsnow\b|\bice\b|\bicy\b|\bfog\b|\bhigh winds?\b|\bwhiteout\b|\blow visibility\b/i }
+];
+
+const HAZMAT_RE = /\bhaz[\s-]?mat\b|\bhazardous (?:materials?|spill|cargo)\b|\bchemical spill\b|\b(?:fuel|diesel|gasoline|oil) (?:spill|leak)\b/i;
+
+const CAUSE_SEVERITY = {
+  multi_vehicle_crash: 35,
+  jackknifed_or_overturned_truck: 35,
+  vehicle_fire: 30,
+  flooding: 30,
+  downed_wires: 25,
+  crash: 25,
+  weather: 20,
+  debris: 15,
+  disabled_vehicle: 10,
+  other: 10
+};
+
+function classifyIncidentCause(desc) {
+  const s = String(desc || "");
+  return INCIDENT_CAUSES.find(c => c.re.test(s))?.cause || "other";
+}
+
+function isHazmatIncident(desc) {
+  return HAZMAT_RE.test(String(desc || ""));
+}
+
+function routeClassPoints(route) {
+  if (/^I-\d+/.test(route || "")) return 15;
+  if (/^US-\d+/.test(route || "")) return 10;
+  return 5;
+}
+
+function elapsedPoints(startIso, now) {
+  if (!startIso) return 0;
+
+  const hours = (now.getTime() - Date.parse(startIso)) / 3600000;
+  if (!(hours >= 1)) return 0;
+  if (hours < 2) return 5;
+  if (hours < 4) return 10;
+  return 15;
+}
+
+// 0-100: what happened, how much of the road is shut, how important the road
+// is, and how long it has been going on.
+function incidentSeverity({ cause, fullClosure, route, startIso }, now = new Date()) {
+  const score =
+    (CAUSE_SEVERITY[cause] ?? CAUSE_SEVERITY.other) +
+    (fullClosure ? 30 : 10) +
+    routeClassPoints(route) +
+    elapsedPoints(startIso, now);
+
+  return Math.min(100, score);
+}
+
+function classifyIncident(desc, { fullClosure, route, start }, now = new Date()) {
+  const cause = classifyIncidentCause(desc);
+
+  return {
+    cause,
+    severity: incidentSeverity({ cause, fullClosure, route, startIso: easternTimeToIso(start) }, now),
+    is_hazmat: isHazmatIncident(desc)
+  };
+}
+
 /* ---------- MAJOR ROUTE CLOSURES ---------- */
 
-function buildMajorRouteClosures(trafficTable) {
+function buildMajorRouteClosures(trafficTable, now = new Date()) {
   const headers = trafficTable.headers || [];
   const rows = trafficTable.rows || [];
 
   const typeIdx = idx(headers, "Type") ?? findHeader(headers, /type/i);
   const descIdx = idx(headers, "Description") ?? findHeader(headers, /description/i);
+  const startIdx = idx(headers, "Start Time") ?? findHeader(headers, /start time|reported/i);
   const endIdx  = idx(headers, "Anticipated End Time") ?? findHeader(headers, /(anticipated|end)/i);
   const countyIdx =
     idx(headers, "County") ??
@@ -354,6 +823,7 @@ function buildMajorRouteClosures(trafficTable) {
 
     const type = norm(typeIdx != null ? row[typeIdx] : "");
     const desc = norm(descIdx != null ? row[descIdx] : "");
+    const start = norm(startIdx != null ? row[startIdx] : "");
     const end  = norm(endIdx != null ? row[endIdx] : "");
 
     if (!desc) continue;
@@ -402,11 +872,16 @@ function buildMajorRouteClosures(trafficTable) {
     items.push({
       id: eventId,
       eventId,
+      layer: rowEventLayer(r),
       route,
       direction: dir,
       between,
       county,
+      ...resolveMileMarkers({ route, description: desc }),
+      ...classifyIncident(desc, { fullClosure: true, route, start }, now),
+      start_time: start,
       anticipated_end_time: end ? end : "",
+      anticipated_end_time_at: easternTimeToIso(end),
       description: desc,
       formatted: line
     });
@@ -423,7 +898,7 @@ function buildMajorRouteClosures(trafficTable) {
 
 /* ---------- LANE RESTRICTIONS ---------- */
 
-function buildLaneRestrictionsFromTraffic(trafficTable) {
+function buildLaneRestrictionsFromTraffic(trafficTable, now = new Date()) {
   const headers = trafficTable.headers || [];
   const rows = trafficTable.rows || [];
 
@@ -507,15 +982,19 @@ function buildLaneRestrictionsFromTraffic(trafficTable) {
     items.push({
       id: eventId,
       eventId,
+      layer: rowEventLayer(r),
       type,
       roadway,
       state,
       county: countyClean,
       route,
       direction,
+      ...resolveMileMarkers({ route, description: desc }),
+      ...classifyIncident(desc, { fullClosure: false, route, start }, now),
       description: desc,
       start_time: start,
       anticipated_end_time: end,
+      anticipated_end_time_at: easternTimeToIso(end),
       last_updated: updated,
       formatted: line
     });
@@ -530,51 +1009,1134 @@ function buildLaneRestrictionsFromTraffic(trafficTable) {
   };
 }
 
+/* ---------- ROAD CONDITION SEGMENTS ---------- */
+
+// Ordered best to worst; the index doubles as the rollup severity rank.
+const ROAD_CONDITION_LEVELS = [
+  { key: "normal", label: "normal conditions", re: /\b(normal|dry|clear)\b/i },
+  { key: "wet", label: "wet", re: /\bwet\b/i },
+  { key: "reduced_visibility", label: "reduced visibility", re: /\b(visibility|fog)\b/i },
+  { key: "snow_patches", label: "patches of snow", re: /\b(patch|patches|spots?|dusting)\b.*\bsnow\b|\bsnow\b.*\b(patch|spots?)/i },
+  { key: "slush", label: "slush", re: /\bslush/i },
+  { key: "ice_patches", label: "patches of ice", re: /\b(patch|patches|spots?)\b.*\b(ice|icy)\b|\b(ice|icy)\b.*\b(patch|spots?)|\bblack ice\b/i },
+  { key: "snow_covered", label: "snow covered", re: /\bsnow[- ]?(covered|packed)\b|^snow$/i },
+  { key: "ice_covered", label: "ice covered", re: /\bice[- ]?covered\b|\bicy\b(?!\s+(spots?|patch))|\bglaze|\bfreezing\b/i },
+  { key: "closed", label: "closed", re: /\b(closed|impassable|travel not advised)\b/i }
+];
+
+function conditionRank(key) {
+  return ROAD_CONDITION_LEVELS.findIndex(c => c.key === key);
+}
+
+function normalizeRoadCondition(text) {
+  const s = norm(text);
+  if (!s) return "unknown";
+
+  // Check the most severe wording first so mixed reports take their worst part.
+  for (let i = ROAD_CONDITION_LEVELS.length - 1; i >= 0; i--) {
+    if (ROAD_CONDITION_LEVELS[i].re.test(s)) return ROAD_CONDITION_LEVELS[i].key;
+  }
+
+  return "unknown";
+}
+
+function parseSegmentEndpoint(text) {
+  const s = norm(text);
+  if (!s) return null;
+
+  const exit = s.match(/^Exit:\s*(.*?)\s*(?:\{\s*#\s*([0-9A-Z]+)\s*\})?$/i);
+  if (exit) {
+    return {
+      exit: exit[2] || null,
+      name: norm(exit[1]) || null,
+      text: s
+    };
+  }
+
+  return {
+    exit: null,
+    name: norm(s.replace(/^\((.*)\)$/, "$1")),
+    text: s
+  };
+}
+
+function parseSegmentDescription(desc) {
+  const m = norm(desc).match(/^From\s+(.+?)(?:\s+to\s+(.+))?$/);
+  if (!m) return { from: null, to: null };
+
+  return {
+    from: parseSegmentEndpoint(m[1]),
+    to: parseSegmentEndpoint(m[2])
+  };
+}
+
+// 511PA list times are Eastern wall-clock ("4/7/26, 11:22 AM") with no offset.
+function easternTimeToIso(text) {
+  const m = norm(text).match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})\s*,\s*(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+  if (!m) return null;
+
+  let year = Number(m[3]);
+  if (year < 100) year += 2000;
+
+  let hour = Number(m[4]) % 12;
+  if (m[6].toUpperCase() === "PM") hour += 12;
+
+  const wallUtc = Date.UTC(year, Number(m[1]) - 1, Number(m[2]), hour, Number(m[5]));
+
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: LIST_TIME_ZONE,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric"
+  }).formatToParts(new Date(wallUtc));
+
+  const get = type => Number(parts.find(p => p.type === type)?.value);
+  const shown = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"));
+
+  return new Date(wallUtc + (wallUtc - shown)).toISOString();
+}
+
+function roadConditionId(row) {
+  const haystack = `${(row?.links || []).join(" ")} ${row?.html || ""}`;
+  const m = haystack.match(/RoadConditionIncident[-/](\d+)/i);
+  return m ? m[1] : rowEventId(row);
+}
+
+function buildRoadConditionSegments(roadTable) {
+  const headers = roadTable.headers || [];
+  const rows = roadTable.rows || [];
+
+  const roadwayIdx = idx(headers, "Roadway") ?? findHeader(headers, /roadway/i);
+  const countyIdx = idx(headers, "County") ?? findHeader(headers, /\bcounty\b/i);
+  const descIdx = idx(headers, "Description") ?? findHeader(headers, /description/i);
+  const condIdx = idx(headers, "Condition") ?? findHeader(headers, /condition/i);
+  const updatedIdx = idx(headers, "Last Updated") ?? findHeader(headers, /last updated|updated/i);
+
+  const items = [];
+
+  for (const r of rows) {
+    const row = rowCells(r);
+
+    const roadway = norm(roadwayIdx != null ? row[roadwayIdx] : "");
+    const desc = norm(descIdx != null ? row[descIdx] : "");
+    const conditionText = norm(condIdx != null ? row[condIdx] : "");
+    const updated = norm(updatedIdx != null ? row[updatedIdx] : "");
+
+    if (!roadway || !desc) continue;
+
+    const county = norm(countyIdx != null ? row[countyIdx] : "").replace(/\s*county$/i, "") || "Unknown";
+    const { from, to } = parseSegmentDescription(desc);
+
+    items.push({
+      id: roadConditionId(r),
+      route: parseRoute(roadway) || roadway,
+      county,
+      from,
+      to,
+      condition: normalizeRoadCondition(conditionText),
+      condition_text: conditionText,
+      last_updated: updated,
+      last_updated_at: easternTimeToIso(updated),
+      description: desc
+    });
+  }
+
+  return {
+    name: "road_conditions_segments",
+    fetched_at: roadTable.fetched_at,
+    source_url: roadTable.url,
+    count: items.length,
+    items,
+    routes: rollupRoadConditions(items)
+  };
+}
+
+function rollupRoadConditions(segments) {
+  const byRoute = new Map();
+
+  for (const seg of segments) {
+    if (!byRoute.has(seg.route)) byRoute.set(seg.route, []);
+    byRoute.get(seg.route).push(seg);
+  }
+
+  const routes = [];
+
+  for (const [route, segs] of byRoute) {
+    const worst = segs.reduce((a, b) => (conditionRank(b.condition) > conditionRank(a.condition) ? b : a));
+    const level = ROAD_CONDITION_LEVELS[conditionRank(worst.condition)];
+
+    const counties = [...new Set(
+      segs.filter(s => s.condition === worst.condition).map(s => s.county)
+    )];
+
+    const label = level ? level.label : "unknown";
+
+    routes.push({
+      route,
+      worst_condition: worst.condition,
+      worst_label: label,
+      counties,
+      segment_count: segs.length,
+      summary: worst.condition === "normal"
+        ? `${route}: ${label}`
+        : `${route}: ${label} in ${counties.join("/")}`
+    });
+  }
+
+  return routes.sort((a, b) =>
+    conditionRank(b.worst_condition) - conditionRank(a.worst_condition) ||
+    a.route.localeCompare(b.route, "en", { numeric: true })
+  );
+}
+
+/* ---------- VEHICLE RESTRICTIONS ---------- */
+
+// Ported from the traffic boards so speed, tier and CMV classification runs
+// once here instead of drifting between traffic.html and betatraffic.html.
+
+const ROAD_REF_RE = /(i-\d+|us-\d+|pa-\d+|turnpike|route|sr\s*\d+|exit|interstate\s*\d+)/i;
+const LIST_DATETIME_RE = /\b\d{1,2}\/\d{1,2}\/\d{2,4}\b\s*,?\s*\d{1,2}:\d{2}\s*(?:AM|PM)\b/gi;
+
+const VEHICLE_CLASS_PATTERNS = [
+  { key: "cmv", re: /\bcommercial\s*vehicles?\b|\bcmvs?\b|\btrucks?\b/i },
+  { key: "tractor_trailers", re: /\btractors?\b|\btractor[- ]trailers?\b/i },
+  { key: "empty_trailers", re: /\bempty\s+(?:straight\s+)?(?:trucks?|trailers?)\b/i },
+  { key: "tandem_trailers", re: /\btandem\s+trailers?\b|\bdoubles?\b|\btriples?\b/i },
+  { key: "towed_trailers", re: /\btowing\b|\btrailers?\b/i },
+  { key: "buses", re: /\bmotor\s*coach(?:es)?\b|\bschool\s+bus(?:es)?\b|\bcommercial\s+bus(?:es)?\b/i },
+  { key: "motorcycles", re: /\bmotorcycles?\b/i },
+  { key: "rvs", re: /\brecreational\s+vehicles?\b|\brvs?\b|\bmotor\s*homes?\b/i },
+  { key: "hazmat", re: /\bhazmat\b|\bhazardous\s+materials?\b/i },
+  { key: "permit_loads", re: /\bpermit(?:ted)?\s+(?:loads?|travel|vehicles?)\b|\boversize\b/i },
+  { key: "passenger_vehicles", re: /\ball\s+passenger\s+vehicles\b/i }
+];
+
+function hasRoadRef(text) {
+  return ROAD_REF_RE.test(String(text || ""));
+}
+
+function isSpeedRestriction(text) {
+  return /\b(mph|speed)\b/i.test(text) && hasRoadRef(text);
+}
+
+function isVehicleOnlyRestriction(text) {
+  const t = String(text || "");
+  if (!hasRoadRef(t)) return false;
+
+  const hasCmv =
+    /\bcommercial\s*vehicles?\b/i.test(t) ||
+    /\bcmv\b/i.test(t) ||
+    /\btruck(s)?\b/i.test(t);
+
+  const hasVehicleControl =
+    /\bright\s*lane\s*only\b/i.test(t) ||
+    /\bleft\s*lane\s*only\b/i.test(t) ||
+    /\bno\s+tractors\b/i.test(t) ||
+    /\bno\s+trailers\b/i.test(t) ||
+    /\bempty\s+trailers?\b/i.test(t) ||
+    /\bban(ned)?\b/i.test(t) ||
+    /\brestricted\b/i.test(t);
+
+  return hasCmv && hasVehicleControl;
+}
+
+function isCmvRightLaneOnly(text, mph) {
+  const t = String(text || "");
+  if (!hasRoadRef(t)) return false;
+
+  const atSpeed =
+    new RegExp(`\\b${mph}\\s*mph\\b`, "i").test(t) ||
+    new RegExp(`\\breduced to ${mph} miles per hour\\b`, "i").test(t);
+  const rightLaneOnly = /\bright\s*lane\s*only\b/i.test(t) || /\brt\.?\s*lane\s*only\b/i.test(t);
+
+  const cmvRightLane =
+    /\bcommercial\s*vehicles?\s*right\s*lane\s*only\b/i.test(t) ||
+    /\bcmv\s*right\s*lane\s*only\b/i.test(t) ||
+    (/\bcommercial\s*vehicles?\b/i.test(t) && rightLaneOnly) ||
+    (/\bcmv\b/i.test(t) && rightLaneOnly);
+
+  return atSpeed && rightLaneOnly && cmvRightLane;
+}
+
+function is45CmvRightLaneOnly(text) {
+  return isCmvRightLaneOnly(text, 45);
+}
+
+function is55CmvRightLaneOnly(text) {
+  return isCmvRightLaneOnly(text, 55);
+}
+
+function extractTierHeader(s) {
+  const t = String(s || "").trim();
+  const m = t.match(/^tier\s*([1-5])\s*[:\-]/i);
+  if (m) return Number(m[1]);
+  const m2 = t.match(/^tier\s*([1-5])\b/i);
+  if (m2 && t.length <= 60) return Number(m2[1]);
+  return null;
+}
+
+function getTierFromText(text) {
+  const t = String(text || "").toLowerCase();
+  const m = t.match(/\btier\s*([1-5])\b/);
+  if (m) return Number(m[1]);
+  if (t.includes("complete cmv restriction")) return 4;
+  if (t.includes("all passenger vehicles")) return 5;
+  return null;
+}
+
+function vehiclePanelCandidate(text) {
+  if (!hasRoadRef(text)) return false;
+  return (
+    /\btier\s*[1-5]\b/i.test(text) ||
+    /\bcomplete cmv restriction\b/i.test(text) ||
+    /\ball passenger vehicles\b/i.test(text) ||
+    /\bcmv\b/i.test(text) ||
+    /\bcommercial\b/i.test(text) ||
+    /\btruck(s)?\b/i.test(text) ||
+    /\bpermit\b/i.test(text) ||
+    /\bno permit travel\b/i.test(text) ||
+    /\btrailer\b/i.test(text) ||
+    /\btowing\b/i.test(text) ||
+    /\bmotor coach|motorcoach|school bus|commercial bus|motorcycle\b/i.test(text) ||
+    /\bchains?\b/i.test(text) ||
+    /\batd\b/i.test(text)
+  );
+}
+
+function parseSpeedLimit(text) {
+  const m =
+    String(text || "").match(/\b(\d{2})\s*mph\b/i) ||
+    String(text || "").match(/\breduced to (\d{2}) miles per hour\b/i);
+  return m ? Number(m[1]) : null;
+}
+
+function parseVehicleClasses(text) {
+  return VEHICLE_CLASS_PATTERNS.filter(c => c.re.test(String(text || ""))).map(c => c.key);
+}
+
+function cleanRestrictionText(s) {
+  return norm(s)
+    .replace(/\s*\|\s*View on map\s*$/i, "")
+    .replace(/\s*\|\s*(?:I|US|PA)\s*[- ]?\s*\d{1,4}\s*$/i, "")
+    .trim();
+}
+
+function normalizePointName(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[–—]/g, "-")
+    .replace(/\bohio\s+state\s+line\b/g, "oh line")
+    .replace(/\bohio\s+line\b/g, "oh line")
+    .replace(/\boh\s*line\b/g, "oh line")
+    .replace(/\bexit\s*:\s*/g, "exit: ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function normalizeRouteLabel(route) {
+  const r = String(route || "").toUpperCase().replace(/\s+/g, "");
+  const m = r.match(/^(I|US|PA)-?(\d{1,4})$/i);
+  if (!m) return String(route || "").trim().toUpperCase();
+  return `${m[1].toUpperCase()}-${parseInt(m[2], 10)}`;
+}
+
+function normalizeDirLabel(dir) {
+  const d = String(dir || "").trim().toUpperCase();
+  if (d === "EAST" || d === "EB") return "E";
+  if (d === "WEST" || d === "WB") return "W";
+  if (d === "NORTH" || d === "NB") return "N";
+  if (d === "SOUTH" || d === "SB") return "S";
+  return "";
+}
+
+const DIR_WORDS = { E: "East", W: "West", N: "North", S: "South" };
+
+function parseRestrictionSegment(text) {
+  const s = String(text || "").trim();
+
+  const m = s.match(/^(?<route>(?:I|US|PA)\s*-\s*\d{1,4}|(?:I|US|PA)\s*\d{1,4})\s*(?<dir>east|west|north|south|eb|wb|nb|sb)?(?:bound)?\s+between\s+(?<start>.+?)\s+and\s+(?<end>.+?)\.\s+(?<rest>.+)$/i);
+  if (!m || !m.groups) return null;
+
+  const route = normalizeRouteLabel(m.groups.route || "");
+  const dir = normalizeDirLabel(m.groups.dir || "");
+  const start = norm(m.groups.start);
+  const end = norm(m.groups.end);
+  const rest = norm(m.groups.rest);
+
+  if (!route || !start || !end || !rest) return null;
+
+  return {
+    route,
+    dir,
+    start,
+    end,
+    rest,
+    startKey: normalizePointName(start),
+    endKey: normalizePointName(end),
+    restKey: rest.replace(/\s+\./g, ".").toLowerCase()
+  };
+}
+
+// Chains segments that share route, direction and restriction wording where
+// one segment's end point is the next one's start (e.g. a tier 2 ban posted
+// exit-to-exit across a county line). Entries are { text, ... } and come back
+// as { text, seg, parts } with parts listing the merged source entries.
+function combineContiguousRestrictions(entries) {
+  const parsed = [];
+  const leftovers = [];
+
+  for (const entry of entries || []) {
+    const seg = parseRestrictionSegment(entry.text);
+    if (seg) parsed.push({ entry, seg });
+    else leftovers.push({ text: entry.text, seg: null, parts: [entry] });
+  }
+
+  const grouped = new Map();
+
+  for (const p of parsed) {
+    const key = `${p.seg.route}|${p.seg.dir}|${p.seg.restKey}`;
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(p);
+  }
+
+  const combined = [];
+
+  for (const group of grouped.values()) {
+    const startMap = new Map();
+    const endMap = new Map();
+
+    for (const p of group) {
+      if (!startMap.has(p.seg.startKey)) startMap.set(p.seg.startKey, []);
+      startMap.get(p.seg.startKey).push(p);
+
+      if (!endMap.has(p.seg.endKey)) endMap.set(p.seg.endKey, []);
+      endMap.get(p.seg.endKey).push(p);
+    }
+
+    const used = new Set();
+
+    for (const p of group) {
+      if (used.has(p)) continue;
+
+      let head = p;
+      const walked = new Set([p]);
+
+      while (true) {
+        const prev = (endMap.get(head.seg.startKey) || []).filter(x => !used.has(x) && !walked.has(x));
+        if (prev.length !== 1 || prev[0].seg.startKey === prev[0].seg.endKey) break;
+        head = prev[0];
+        walked.add(head);
+      }
+
+      const chain = [head];
+      used.add(head);
+      let tail = head;
+
+      while (true) {
+        const next = (startMap.get(tail.seg.endKey) || []).filter(x => !used.has(x));
+        if (next.length !== 1 || next[0].seg.startKey === next[0].seg.endKey) break;
+        used.add(next[0]);
+        chain.push(next[0]);
+        tail = next[0];
+      }
+
+      const dirWord = DIR_WORDS[head.seg.dir] ? ` ${DIR_WORDS[head.seg.dir]}` : "";
+
+      combined.push({
+        text: `${head.seg.route}${dirWord} between ${head.seg.start} and ${tail.seg.end}. ${head.seg.rest}`,
+        seg: { ...head.seg, end: tail.seg.end, endKey: tail.seg.endKey },
+        parts: chain.map(x => x.entry)
+      });
+    }
+  }
+
+  return [...combined, ...leftovers];
+}
+
+function restrictionGroup(text, tier) {
+  if (is45CmvRightLaneOnly(text)) return "rl45";
+  if (is55CmvRightLaneOnly(text)) return "rl55";
+  if (tier) return `tier${tier}`;
+  return "other";
+}
+
+function listTimeLabel(text, label) {
+  const iso = easternTimeToIso(text);
+  if (!iso) return null;
+
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: LIST_TIME_ZONE,
+    hourCycle: "h23",
+    year: "2-digit",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit"
+  }).formatToParts(new Date(iso));
+
+  const get = type => parts.find(p => p.type === type)?.value;
+  return `${label} ${get("month")}/${get("day")}/${get("year")} at ${get("hour")}:${get("minute")} hours.`;
+}
+
+function routeSortKey(route) {
+  const m = String(route || "").match(/^(I|US|PA)-(\d+)/);
+  if (!m) return [9, 99999];
+  return [{ I: 1, US: 2, PA: 3 }[m[1]], Number(m[2])];
+}
+
+function compareRestrictions(a, b) {
+  if (a.state === "planned" && b.state === "planned") {
+    const ta = Date.parse(a.start_time_at || "") || Infinity;
+    const tb = Date.parse(b.start_time_at || "") || Infinity;
+    if (ta !== tb) return ta - tb;
+  }
+
+  const [ga, na] = routeSortKey(a.route);
+  const [gb, nb] = routeSortKey(b.route);
+  if (ga !== gb) return ga - gb;
+  if (na !== nb) return na - nb;
+  return a.text.localeCompare(b.text);
+}
+
+const RESTRICTION_END_RE = /\b(?:until|through|ending|ends?|expires?)\b[^|]*?(\d{1,2}\/\d{1,2}\/\d{2,4}\s*,?\s*\d{1,2}:\d{2}\s*(?:AM|PM))/i;
+
+function buildVehicleRestrictions(restrTable, now = new Date()) {
+  const headers = restrTable.headers || [];
+  const rows = restrTable.rows || [];
+
+  const descIdx = idx(headers, "Description") ?? findHeader(headers, /description/i);
+  const roadwayIdx = idx(headers, "Roadway") ?? findHeader(headers, /roadway/i);
+  const startIdx = idx(headers, "Start Time") ?? findHeader(headers, /start/i);
+
+  const entries = [];
+  let currentTier = null;
+
+  for (const r of rows) {
+    const row = rowCells(r);
+
+    const desc = cleanRestrictionText(descIdx != null ? row[descIdx] : row.join(" | "));
+    if (!desc || /^no data available/i.test(desc)) continue;
+    if (/^(speed|vehicle)?\s*restrictions$/i.test(desc)) continue;
+
+    const headerTier = extractTierHeader(desc);
+    if (headerTier) {
+      currentTier = headerTier;
+      continue;
+    }
+
+    const roadway = norm(roadwayIdx != null ? row[roadwayIdx] : "");
+    const startRaw = norm(startIdx != null ? row[startIdx] : "");
+    const startText = (startRaw.match(LIST_DATETIME_RE) || [])[0] || (desc.match(LIST_DATETIME_RE) || [])[0] || "";
+
+    const isSpeed =
+      isSpeedRestriction(desc) &&
+      !is45CmvRightLaneOnly(desc) &&
+      !is55CmvRightLaneOnly(desc) &&
+      !isVehicleOnlyRestriction(desc);
+
+    const isVehicle =
+      is45CmvRightLaneOnly(desc) ||
+      is55CmvRightLaneOnly(desc) ||
+      isVehicleOnlyRestriction(desc) ||
+      currentTier != null ||
+      vehiclePanelCandidate(desc);
+
+    if (!isSpeed && !isVehicle) continue;
+
+    const startAt = easternTimeToIso(startText);
+    const state = startAt && Date.parse(startAt) > now.getTime() ? "planned" : "active";
+
+    // An "until"/"ends" phrase names the end outright; otherwise the end is the
+    // last date and time in the row, which is how the board has always read it.
+    const rowTimes = `${desc} | ${startRaw}`.match(LIST_DATETIME_RE) || [];
+    const endText = desc.match(RESTRICTION_END_RE)?.[1] || rowTimes[rowTimes.length - 1] || "";
+
+    entries.push({
+      text: desc,
+      category: isSpeed ? "speed" : "vehicle",
+      state,
+      eventId: rowEventId(r),
+      roadway,
+      contextTier: currentTier,
+      startText,
+      startAt,
+      endText
+    });
+  }
+
+  const items = [];
+  const buckets = new Map();
+
+  for (const e of entries) {
+    const key = `${e.category}|${e.state}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(e);
+  }
+
+  for (const bucket of buckets.values()) {
+    for (const c of combineContiguousRestrictions(bucket)) {
+      const first = c.parts[0];
+      const starts = c.parts.filter(p => p.startAt).sort((a, b) => a.startAt.localeCompare(b.startAt));
+      const earliest = starts[0] || first;
+
+      const endText = first.endText;
+
+      const tier = first.contextTier ?? getTierFromText(c.text);
+      const direction = c.seg?.dir ? DIR_WORDS[c.seg.dir].toUpperCase() : (parseDirection(c.text) || "");
+
+      const route = c.seg?.route || parseRoute(c.text) || parseRoute(first.roadway) || "ROUTE";
+      const from = c.seg?.start || null;
+      const to = c.seg?.end || null;
+
+      items.push({
+        ids: c.parts.map(p => p.eventId).filter(Boolean),
+        category: first.category,
+        state: first.state,
+        route,
+        direction,
+        from,
+        to,
+        ...resolveMileMarkers({ route, description: c.text, from, to }),
+        segment_count: c.parts.length,
+        tier,
+        group: first.category === "vehicle" ? restrictionGroup(c.text, tier) : "speed",
+        speed_limit_mph: parseSpeedLimit(c.text),
+        vehicle_classes: parseVehicleClasses(c.text),
+        start_time: earliest.startText,
+        start_time_at: earliest.startAt,
+        end_time: endText,
+        end_time_at: easternTimeToIso(endText),
+        text: c.text,
+        subline: first.state === "planned"
+          ? listTimeLabel(earliest.startText, "Starting on:")
+          : listTimeLabel(endText, "Ending on:")
+      });
+    }
+  }
+
+  items.sort(compareRestrictions);
+
+  return {
+    name: "vehicle_restrictions",
+    fetched_at: restrTable.fetched_at,
+    source_url: restrTable.url,
+    count: items.length,
+    items
+  };
+}
+
+/* ---------- EVENT GEOMETRY ---------- */
+
+const GEOMETRY_LAYERS = ["MajorRouteIncident", "MajorRouteClosure"];
+const GEOMETRY_CONCURRENCY = Number(process.env.SCRAPE_511_GEOMETRY_CONCURRENCY || 4);
+const GEOMETRY_BUDGET_MS = Number(process.env.SCRAPE_511_GEOMETRY_BUDGET_MS || 60000);
+const GEOMETRY_RETRY_MINUTES = Number(process.env.SCRAPE_511_GEOMETRY_RETRY_MINUTES || 60);
+
+async function fetchEventLocation(item, fetchIncident = fetch511Incident) {
+  const layers = item.layer
+    ? [item.layer, ...GEOMETRY_LAYERS.filter(l => l !== item.layer)]
+    : GEOMETRY_LAYERS;
+
+  let lastErr = null;
+
+  for (const layer of layers) {
+    try {
+      const incident = normalizeIncident(await fetchIncident(item.eventId, layer), item.eventId);
+
+      return {
+        layer,
+        lat: incident.lat,
+        lon: incident.lon,
+        secondary_lat: incident.secondaryLat,
+        secondary_lon: incident.secondaryLon,
+        polyline: incident.polyline || null
+      };
+    } catch (err) {
+      lastErr = err;
+    }
+  }
+
+  throw lastErr || new Error(`No 511PA map layer for ${item.eventId}`);
+}
+
+function withDeadline(promise, ms) {
+  let timer;
+
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error("event geometry time budget spent");
+      err.code = "GEOMETRY_BUDGET";
+      reject(err);
+    }, Math.max(0, ms));
+  });
+
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+// 511PA locations rarely move once posted, so an event whose description is
+// unchanged reuses the location recorded in the lifecycle state. Failed
+// lookups are remembered the same way through location_retry_after and are
+// not retried until then.
+//
+// Lookups run GEOMETRY_CONCURRENCY at a time and stop once GEOMETRY_BUDGET_MS
+// is spent; events left over are deferred to the next run without a retry
+// time, so the scrape finishes inside the workflow timeout.
+async function attachEventGeometry(builds, prevState, {
+  fetchLocation = fetchEventLocation,
+  now = new Date(),
+  concurrency = GEOMETRY_CONCURRENCY,
+  budgetMs = GEOMETRY_BUDGET_MS
+} = {}) {
+  const prev = prevState?.events || {};
+  const counts = { fetched: 0, reused: 0, failed: 0, skipped: 0, deferred: 0 };
+  const queue = [];
+
+  for (const build of builds) {
+    for (const item of build.items) {
+      if (!item.eventId) continue;
+
+      const old = prev[lifecycleKey(item)]?.item;
+      const unchanged = old && old.description === item.description;
+
+      if (unchanged && old.location) {
+        item.location = old.location;
+        counts.reused++;
+        continue;
+      }
+
+      if (unchanged && Date.parse(old.location_retry_after || "") > now.getTime()) {
+        item.location = null;
+        item.location_retry_after = old.location_retry_after;
+        counts.skipped++;
+        continue;
+      }
+
+      queue.push({ name: build.name, item });
+    }
+  }
+
+  const deadline = Date.now() + budgetMs;
+  const retryAfter = new Date(now.getTime() + GEOMETRY_RETRY_MINUTES * 60000).toISOString();
+
+  async function worker() {
+    for (let job = queue.shift(); job; job = queue.shift()) {
+      const { name, item } = job;
+      item.location = null;
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        counts.deferred++;
+        continue;
+      }
+
+      try {
+        item.location = await withDeadline(fetchLocation(item), remaining);
+        counts.fetched++;
+      } catch (err) {
+        if (err.code === "GEOMETRY_BUDGET") {
+          counts.deferred++;
+          continue;
+        }
+
+        item.location_retry_after = retryAfter;
+        counts.failed++;
+        console.warn(`No location for ${name} ${item.eventId}: ${err.message}`);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+  return counts;
+}
+
+function buildTrafficEventsGeoJson(builds, generatedAt = new Date().toISOString()) {
+  const features = [];
+
+  for (const build of builds) {
+    for (const item of build.items) {
+      const loc = item.location;
+      if (!loc) continue;
+
+      const properties = {
+        eventId: item.eventId,
+        kind: build.name,
+        route: item.route,
+        direction: item.direction,
+        county: item.county,
+        status: item.status || null,
+        anticipated_end_time: item.anticipated_end_time || "",
+        formatted: item.formatted
+      };
+
+      features.push({
+        type: "Feature",
+        id: `${item.eventId}:point`,
+        geometry: { type: "Point", coordinates: [loc.lon, loc.lat] },
+        properties: { ...properties, feature: "location" }
+      });
+
+      const line = decodePolyline(loc.polyline);
+      if (line.length >= 2) {
+        features.push({
+          type: "Feature",
+          id: `${item.eventId}:line`,
+          geometry: { type: "LineString", coordinates: line.map(p => [p.lon, p.lat]) },
+          properties: { ...properties, feature: "extent" }
+        });
+      }
+    }
+  }
+
+  return {
+    type: "FeatureCollection",
+    name: "traffic_events",
+    generated_at: generatedAt,
+    features
+  };
+}
+
+/* ---------- EVENT LIFECYCLE ---------- */
+
+const EVENT_STATE_PATH = "data/511_event_state.json";
+const RECENTLY_CLEARED_HOURS = Number(process.env.SCRAPE_511_RECENTLY_CLEARED_HOURS || 6);
+
+function lifecycleKey(item) {
+  if (item.eventId) return String(item.eventId);
+  return `text:${item.route}|${item.direction}|${item.description}`;
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Carries each event's first/last sighting and end-time revisions from one
+// run to the next. Events that drop out of the feed are kept as "cleared"
+// for RECENTLY_CLEARED_HOURS so the boards can show what just reopened.
+function applyEventLifecycle(builds, prevState, now = new Date()) {
+  const nowIso = now.toISOString();
+  const prev = prevState?.events || {};
+  const events = {};
+  const seen = new Set();
+
+  for (const build of builds) {
+    for (const item of build.items) {
+      const key = lifecycleKey(item);
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const old = prev[key];
+      const end = item.anticipated_end_time || "";
+      const history = Array.isArray(old?.anticipated_end_time_history)
+        ? [...old.anticipated_end_time_history]
+        : [];
+
+      let status = "ongoing";
+
+      if (!old) {
+        status = "new";
+        history.push({ at: nowIso, value: end });
+      } else {
+        const endChanged = (old.anticipated_end_time || "") !== end;
+        if (endChanged) history.push({ at: nowIso, value: end });
+
+        if (old.cleared_at || endChanged || old.kind !== build.name || old.formatted !== item.formatted) {
+          status = "updated";
+        }
+      }
+
+      const entry = {
+        key,
+        kind: build.name,
+        first_seen: old?.first_seen || nowIso,
+        last_seen: nowIso,
+        cleared_at: null,
+        status,
+        anticipated_end_time: end,
+        anticipated_end_time_history: history,
+        formatted: item.formatted,
+        item: { ...item }
+      };
+
+      events[key] = entry;
+      Object.assign(item, {
+        status,
+        first_seen: entry.first_seen,
+        last_seen: entry.last_seen,
+        cleared_at: null,
+        anticipated_end_time_history: history
+      });
+    }
+  }
+
+  const cutoff = now.getTime() - RECENTLY_CLEARED_HOURS * 3600 * 1000;
+
+  for (const [key, old] of Object.entries(prev)) {
+    if (seen.has(key)) continue;
+
+    const clearedAt = old.cleared_at || nowIso;
+    if (Date.parse(clearedAt) < cutoff) continue;
+
+    events[key] = { ...old, status: "cleared", cleared_at: clearedAt };
+  }
+
+  return { updated_at: nowIso, events };
+}
+
+function recentlyClearedFor(state, kind) {
+  return Object.values(state.events)
+    .filter(e => e.status === "cleared" && e.kind === kind)
+    .sort((a, b) => String(b.cleared_at).localeCompare(String(a.cleared_at)))
+    .map(e => ({
+      ...e.item,
+      status: "cleared",
+      first_seen: e.first_seen,
+      last_seen: e.last_seen,
+      cleared_at: e.cleared_at,
+      anticipated_end_time_history: e.anticipated_end_time_history
+    }));
+}
+
+/* ---------- SCRAPE HEALTH ---------- */
+
+const SCRAPE_HEALTH_PATH = "data/scrape_health.json";
+const MAX_ROW_DROP_RATIO = Number(process.env.SCRAPE_511_MAX_ROW_DROP || 0.6);
+const MIN_ROWS_FOR_DROP_CHECK = Number(process.env.SCRAPE_511_MIN_ROWS_FOR_DROP_CHECK || 10);
+
+// Headers the builders look up by name. The checkbox and map/action columns
+// carry no data and are left out of the signature.
+function expectedHeaders(name) {
+  return (LIST_COLUMNS[name] || []).filter(c => c.header && !c.map).map(c => c.header);
+}
+
+// Cells every builder depends on. JSON mode takes its headers from
+// LIST_COLUMNS, so a renamed record field only shows up as these going blank.
+const REQUIRED_CELLS = ["Description", "Roadway"];
+const MAX_EMPTY_REQUIRED_RATIO = 0.5;
+
+// Returns the reasons a scraped table should not replace the previous file.
+// An empty list is only trusted when 511PA itself reports zero entries, and
+// small lists are exempt from the drop check since a handful of closures
+// clearing at once is normal.
+function validateTable(name, table, prevTable) {
+  const problems = [];
+
+  if (!table || !Array.isArray(table.headers) || !Array.isArray(table.rows)) {
+    return ["table is missing headers or rows"];
+  }
+
+  const missing = expectedHeaders(name).filter(h => idx(table.headers, h) === null);
+  if (missing.length) {
+    problems.push(`header signature changed; missing ${missing.join(", ")}`);
+  }
+
+  const rowCount = table.rows.length;
+
+  if (rowCount === 0 && table.total_reported !== 0) {
+    problems.push("no rows returned and 511PA did not report an empty list");
+  }
+
+  const malformed = table.rows.filter(r => !Array.isArray(r?.cells) || r.cells.length !== table.headers.length).length;
+  if (malformed) {
+    problems.push(`${malformed} of ${rowCount} rows do not match the ${table.headers.length}-column header`);
+  }
+
+  for (const header of REQUIRED_CELLS) {
+    const i = idx(table.headers, header);
+    if (i === null || rowCount === 0) continue;
+
+    const empty = table.rows.filter(r => !norm(r?.cells?.[i])).length;
+    if (empty / rowCount > MAX_EMPTY_REQUIRED_RATIO) {
+      problems.push(`${header} is empty on ${empty} of ${rowCount} rows`);
+    }
+  }
+
+  const prevCount = Array.isArray(prevTable?.rows) ? prevTable.rows.length : null;
+  if (prevCount !== null && prevCount >= MIN_ROWS_FOR_DROP_CHECK && rowCount > 0) {
+    const drop = (prevCount - rowCount) / prevCount;
+    if (drop > MAX_ROW_DROP_RATIO) {
+      problems.push(`row count fell from ${prevCount} to ${rowCount} (${Math.round(drop * 100)}% drop, limit ${Math.round(MAX_ROW_DROP_RATIO * 100)}%)`);
+    }
+  }
+
+  return problems;
+}
+
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
 /* ---------- MAIN ---------- */
 
 async function main() {
   const outputs = [
     {
       name: "road_conditions",
-      url: "https://www.511pa.com/list/roadcondition"
+      url: "https://www.511pa.com/list/roadcondition",
+      listType: "roadcondition",
+      pageLength: 250
     },
     {
       name: "travel_delays",
-      url: "https://www.511pa.com/list/events/traffic?start=0&length=250&order%5Bi%5D=8&order%5Bdir%5D=desc"
+      url: "https://www.511pa.com/list/events/traffic?start=0&length=250&order%5Bi%5D=8&order%5Bdir%5D=desc",
+      listType: "traffic",
+      pageLength: 250,
+      order: { column: 8, dir: "desc" }
     },
     {
       name: "restrictions",
-      url: "https://www.511pa.com/list/allrestrictioneventslist?start=0&length=100&order%5Bi%5D=4&order%5Bdir%5D=asc"
+      url: "https://www.511pa.com/list/allrestrictioneventslist?start=0&length=100&order%5Bi%5D=4&order%5Bdir%5D=asc",
+      listType: "allrestrictioneventslist",
+      pageLength: 100,
+      order: { column: 4, dir: "asc" }
     }
   ];
 
   if (!fs.existsSync("data")) fs.mkdirSync("data");
 
-  const browser = await chromium.launch();
   const resultsByName = {};
+  const health = {
+    name: "scrape_health",
+    generated_at: new Date().toISOString(),
+    ok: true,
+    lists: {}
+  };
 
   try {
     for (const o of outputs) {
       console.log(`Scraping ${o.name}...`);
-      const data = await scrapeSimpleTable(browser, o.url, "table");
+      const file = `data/${o.name}.json`;
+      const prev = readJsonFile(file);
+
+      let data = null;
+      let problems;
+
+      try {
+        data = await scrapeList(o);
+        problems = validateTable(o.name, data, prev);
+      } catch (err) {
+        problems = [`scrape failed: ${err.message}`];
+      }
+
+      health.lists[o.name] = {
+        status: problems.length ? "rejected" : "ok",
+        mode: data?.mode || null,
+        row_count: data ? data.rows.length : null,
+        total_reported: data?.total_reported ?? null,
+        previous_row_count: Array.isArray(prev?.rows) ? prev.rows.length : null,
+        previous_fetched_at: prev?.fetched_at || null,
+        problems
+      };
+
+      if (problems.length) {
+        health.ok = false;
+        console.warn(`REJECTED ${o.name}: ${problems.join("; ")}. Keeping existing ${file}.`);
+        continue;
+      }
+
       resultsByName[o.name] = data;
-      fs.writeFileSync(`data/${o.name}.json`, JSON.stringify(data, null, 2));
-      console.log(`Wrote data/${o.name}.json (${data.rows.length} rows)`);
+      writeJsonAtomic(file, data);
+      const total = data.total_reported ?? "?";
+      console.log(`Wrote ${file} (${data.rows.length} of ${total} reported rows, ${data.mode})`);
     }
   } finally {
-    await browser.close();
+    await closeBrowser();
   }
 
-  const major = buildMajorRouteClosures(resultsByName.travel_delays);
-  fs.writeFileSync(`data/major_route_closures.json`, JSON.stringify(major, null, 2));
-  console.log(`Wrote data/major_route_closures.json (${major.count} items)`);
+  writeJsonAtomic(SCRAPE_HEALTH_PATH, health);
+  console.log(`Wrote ${SCRAPE_HEALTH_PATH} (${health.ok ? "all lists ok" : "some lists rejected"})`);
+
+  if (resultsByName.road_conditions) {
+    const segments = buildRoadConditionSegments(resultsByName.road_conditions);
+    writeJsonAtomic(`data/road_conditions_segments.json`, segments);
+    console.log(`Wrote data/road_conditions_segments.json (${segments.count} segments, ${segments.routes.length} routes)`);
+  }
+
+  if (resultsByName.restrictions) {
+    const vehicle = buildVehicleRestrictions(resultsByName.restrictions);
+    writeJsonAtomic(`data/vehicle_restrictions.json`, vehicle);
+    console.log(`Wrote data/vehicle_restrictions.json (${vehicle.count} items)`);
+  }
 
+  // Closures, lane restrictions and the event state all come from the
+  // travel delays list; a rejected scrape leaves all of them untouched.
+  if (!resultsByName.travel_delays) return;
+
+  const major = buildMajorRouteClosures(resultsByName.travel_delays);
   const lane = buildLaneRestrictionsFromTraffic(resultsByName.travel_delays);
-  fs.writeFileSync(`data/lane_restrictions.json`, JSON.stringify(lane, null, 2));
+
+  const prevState = readJsonFile(EVENT_STATE_PATH);
+
+  const geo = await attachEventGeometry([major, lane], prevState);
+  console.log(
+    `Event locations: ${geo.fetched} fetched, ${geo.reused} reused, ${geo.failed} failed, ` +
+    `${geo.skipped} waiting to retry, ${geo.deferred} deferred`
+  );
+
+  const state = applyEventLifecycle([major, lane], prevState);
+  major.recently_cleared = recentlyClearedFor(state, major.name);
+  lane.recently_cleared = recentlyClearedFor(state, lane.name);
+
+  writeJsonAtomic(EVENT_STATE_PATH, state);
+  console.log(`Wrote ${EVENT_STATE_PATH} (${Object.keys(state.events).length} tracked events)`);
+
+  writeJsonAtomic(`data/major_route_closures.json`, major);
+  console.log(`Wrote data/major_route_closures.json (${major.count} items, ${major.recently_cleared.length} recently cleared)`);
+
+  writeJsonAtomic(`data/lane_restrictions.json`, lane);
   console.log(`Wrote data/lane_restrictions.json (${lane.count} items)`);
+
+  const geojson = buildTrafficEventsGeoJson([major, lane]);
+  writeJsonAtomic(`data/traffic_events.geojson`, geojson);
+  console.log(`Wrote data/traffic_events.geojson (${geojson.features.length} features)`);
 }
 
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
+export {
+  parseRoute,
+  parseDirection,
+  parseBetweenExits,
+  parseCountyFromDesc,
+  isRoadClosed,
+  isLaneRestriction,
+  extractNarrativeFromDesc,
+  applyMileMarkerCleanup,
+  parseReopenToMMDDYY_HHMM,
+  listRecordToRow,
+  normalizeRoadCondition,
+  parseSegmentDescription,
+  easternTimeToIso,
+  buildRoadConditionSegments,
+  isSpeedRestriction,
+  is45CmvRightLaneOnly,
+  getTierFromText,
+  parseRestrictionSegment,
+  combineContiguousRestrictions,
+  buildVehicleRestrictions,
+  buildTrafficEventsGeoJson,
+  fetchEventLocation,
+  attachEventGeometry,
+  resolveMileMarkers,
+  classifyIncidentCause,
+  isHazmatIncident,
+  incidentSeverity,
+  buildMajorRouteClosures,
+  buildLaneRestrictionsFromTraffic,
+  applyEventLifecycle,
+  validateTable
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
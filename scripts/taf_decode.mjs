@@ -0,0 +1,255 @@
+// Decodes a raw TAF into its change groups and an hourly flight-category
+// timeline. Group times are Dates; visibility is statute miles and ceiling
+// feet, null when the forecast says unlimited.
+
+const TAF_TIMELINE_HOURS = 24;
+
+const FLIGHT_CATEGORIES = ["VFR", "MVFR", "IFR", "LIFR"];
+
+function flightCategory(ceilingFt, visSM) {
+  const ceil = ceilingFt ?? Infinity;
+  const vis = visSM ?? Infinity;
+
+  if (ceil < 500 || vis < 1) return "LIFR";
+  if (ceil < 1000 || vis < 3) return "IFR";
+  if (ceil <= 3000 || vis <= 5) return "MVFR";
+  return "VFR";
+}
+
+function worseCategory(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return FLIGHT_CATEGORIES.indexOf(b) > FLIGHT_CATEGORIES.indexOf(a) ? b : a;
+}
+
+// TAF times are day-of-month + hour (+ minute) relative to the issue time, so
+// a day well before the issue day belongs to the next month and one well after
+// it to the previous month (an issue token read just past midnight on the 1st).
+// Hour 24 and month 12 roll over through Date.UTC.
+function tafDate(day, hour, minute, issued) {
+  const near = issued.getUTCDate();
+  const shift = day < near - 15 ? 1 : day > near + 15 ? -1 : 0;
+  return new Date(Date.UTC(issued.getUTCFullYear(), issued.getUTCMonth() + shift, day, hour, minute));
+}
+
+function tafPeriod(token, issued) {
+  const m = String(token || "").match(/^(\d{2})(\d{2})\/(\d{2})(\d{2})$/);
+  if (!m) return null;
+
+  return {
+    from: tafDate(Number(m[1]), Number(m[2]), 0, issued),
+    to: tafDate(Number(m[3]), Number(m[4]), 0, issued)
+  };
+}
+
+function tafVisibility(tokens, i) {
+  const tok = tokens[i];
+
+  if (tok === "CAVOK") return { visSM: 6, used: 1 };
+
+  const whole = tok.match(/^\d$/) && tokens[i + 1]?.match(/^(\d)\/(\d)SM$/);
+  if (whole) return { visSM: Number(tok) + Number(whole[1]) / Number(whole[2]), used: 2 };
+
+  const m = tok.match(/^([PM])?(\d+)(?:\/(\d+))?SM$/);
+  if (!m) return null;
+
+  const n = m[3] ? Number(m[2]) / Number(m[3]) : Number(m[2]);
+  return { visSM: n, used: 1 };
+}
+
+// Reads visibility and ceiling out of one forecast group. Elements the group
+// does not mention stay undefined so BECMG/TEMPO can carry the prevailing ones.
+function tafConditions(tokens) {
+  const out = {};
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+
+    const vis = tafVisibility(tokens, i);
+    if (vis) {
+      out.visSM = vis.visSM;
+      if (tok === "CAVOK") out.ceilingFt = null;
+      i += vis.used - 1;
+      continue;
+    }
+
+    if (/^(SKC|CLR|NSC|NCD)$/.test(tok)) {
+      out.ceilingFt = null;
+      continue;
+    }
+
+    const cloud = tok.match(/^(FEW|SCT|BKN|OVC|VV)(\d{3})/);
+    if (cloud) {
+      if (out.ceilingFt === undefined) out.ceilingFt = null;
+      if (cloud[1] === "BKN" || cloud[1] === "OVC" || cloud[1] === "VV") {
+        const ft = Number(cloud[2]) * 100;
+        out.ceilingFt = out.ceilingFt === null ? ft : Math.min(out.ceilingFt, ft);
+      }
+    }
+  }
+
+  return out;
+}
+
+// Splits a raw TAF into its initial group and each FM, BECMG, TEMPO and PROB
+// change group, with times resolved against the issue time.
+function parseTafGroups(raw, issuedAt) {
+  const tokens = String(raw || "")
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const rmk = tokens.indexOf("RMK");
+  if (rmk !== -1) tokens.length = rmk;
+
+  const issuedTok = tokens.find(t => /^\d{6}Z$/.test(t));
+  const issued = issuedAt ? new Date(issuedAt) : null;
+  if (!issued || Number.isNaN(issued.getTime())) return null;
+
+  const validIdx = tokens.findIndex(t => tafPeriod(t, issued));
+  if (validIdx === -1) return null;
+
+  const valid = tafPeriod(tokens[validIdx], issued);
+  const groups = [];
+  let current = { type: "BASE", prob: null, from: valid.from, to: valid.to, tokens: [] };
+
+  for (let i = validIdx + 1; i < tokens.length; i++) {
+    const tok = tokens[i];
+
+    const fm = tok.match(/^FM(\d{2})(\d{2})(\d{2})$/);
+    if (fm) {
+      groups.push(current);
+      current = { type: "FM", prob: null, from: tafDate(Number(fm[1]), Number(fm[2]), Number(fm[3]), issued), to: valid.to, tokens: [] };
+      continue;
+    }
+
+    const prob = tok.match(/^PROB(\d{2})$/);
+    if (tok === "TEMPO" || tok === "BECMG" || prob) {
+      let j = i + 1;
+      if (prob && tokens[j] === "TEMPO") j++;
+
+      const period = tafPeriod(tokens[j], issued);
+      if (!period) continue;
+
+      groups.push(current);
+      current = {
+        type: prob ? "PROB" : tok,
+        prob: prob ? Number(prob[1]) : null,
+        from: period.from,
+        to: period.to,
+        tokens: []
+      };
+      i = j;
+      continue;
+    }
+
+    current.tokens.push(tok);
+  }
+
+  groups.push(current);
+
+  return {
+    issued: issuedTok ? tafDate(Number(issuedTok.slice(0, 2)), Number(issuedTok.slice(2, 4)), Number(issuedTok.slice(4, 6)), issued) : issued,
+    validFrom: valid.from,
+    validTo: valid.to,
+    groups: groups.map(({ tokens: groupTokens, ...g }) => ({ ...g, ...tafConditions(groupTokens) }))
+  };
+}
+
+function applyConditions(base, change) {
+  return {
+    visSM: change.visSM !== undefined ? change.visSM : base.visSM,
+    ceilingFt: change.ceilingFt !== undefined ? change.ceilingFt : base.ceilingFt
+  };
+}
+
+// Prevailing conditions at time t: FM replaces everything from its start,
+// BECMG changes the elements it names once its window has passed.
+function prevailingAt(taf, t) {
+  let state = { visSM: null, ceilingFt: null };
+
+  for (const g of taf.groups) {
+    if (g.type === "BASE") state = applyConditions(state, g);
+    else if (g.type === "FM" && g.from <= t) state = applyConditions({ visSM: null, ceilingFt: null }, g);
+    else if (g.type === "BECMG" && g.to <= t) state = applyConditions(state, g);
+  }
+
+  return state;
+}
+
+// Worst temporary conditions at time t from TEMPO, PROB and in-progress BECMG.
+function temporaryAt(taf, t, prevailing) {
+  let cat = null;
+  let prob = null;
+
+  for (const g of taf.groups) {
+    const temporary = g.type === "TEMPO" || g.type === "PROB" || g.type === "BECMG";
+    if (!temporary || t < g.from || t >= g.to) continue;
+
+    const c = applyConditions(prevailing, g);
+    const gCat = flightCategory(c.ceilingFt, c.visSM);
+
+    if (worseCategory(cat, gCat) === gCat && gCat !== cat) {
+      cat = gCat;
+      prob = g.prob;
+    }
+  }
+
+  return { cat, prob };
+}
+
+// One entry per hour for the next TAF_TIMELINE_HOURS. Each hour takes the
+// worst prevailing category at its start or at any change inside it.
+function buildTafTimeline(taf, now = new Date(), hours = TAF_TIMELINE_HOURS) {
+  if (!taf) return [];
+
+  const start = new Date(now);
+  start.setUTCMinutes(0, 0, 0);
+
+  const out = [];
+
+  for (let h = 0; h < hours; h++) {
+    const t = new Date(start.getTime() + h * 3600000);
+    const end = new Date(t.getTime() + 3600000);
+
+    if (end <= taf.validFrom || t >= taf.validTo) continue;
+
+    const checkpoints = [t < taf.validFrom ? taf.validFrom : t];
+    for (const g of taf.groups) {
+      for (const edge of [g.from, g.to]) {
+        if (edge > checkpoints[0] && edge < end && edge < taf.validTo) checkpoints.push(edge);
+      }
+    }
+
+    let worst = null;
+    for (const cp of checkpoints) {
+      const state = prevailingAt(taf, cp);
+      const cat = flightCategory(state.ceilingFt, state.visSM);
+      if (!worst || worseCategory(worst.cat, cat) !== worst.cat) worst = { cat, ...state };
+    }
+
+    const temp = temporaryAt(taf, checkpoints[0], worst);
+
+    out.push({
+      time: t.toISOString(),
+      cat: worst.cat,
+      ceilingFt: worst.ceilingFt,
+      visSM: worst.visSM,
+      tempoCat: temp.cat && worseCategory(worst.cat, temp.cat) !== worst.cat ? temp.cat : null,
+      tempoProb: temp.cat && worseCategory(worst.cat, temp.cat) !== worst.cat ? temp.prob : null
+    });
+  }
+
+  return out;
+}
+
+export {
+  TAF_TIMELINE_HOURS,
+  FLIGHT_CATEGORIES,
+  flightCategory,
+  worseCategory,
+  tafDate,
+  parseTafGroups,
+  prevailingAt,
+  temporaryAt,
+  buildTafTimeline
+};
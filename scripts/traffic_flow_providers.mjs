@@ -0,0 +1,243 @@
+import fs from "node:fs/promises";
+
+// Every provider resolves fetchFlow(point) to one normalized flow sample, or
+// null when it has no road segment near the point:
+//
+//   { provider, currentSpeed, freeFlowSpeed, currentTravelTime,
+//     freeFlowTravelTime, confidence, roadClosure, geometry:[{lat,lon}] }
+//
+// Speeds are mph, travel times seconds, confidence 0-1. `metered` providers
+// count against the TQ call budget; `available` is false when a key is missing.
+
+const MPS_TO_MPH = 2.236936;
+
+function num(v){
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Number("") is 0, which would put a blank coordinate on the equator.
+function coord(v){
+  return v === "" || v == null ? null : num(v);
+}
+
+function toPoint(c){
+  if (!c) return null;
+
+  const lat = coord(c.latitude ?? c.lat);
+  const lon = coord(c.longitude ?? c.lon ?? c.lng);
+
+  if (lat == null || lon == null) return null;
+
+  return { lat, lon };
+}
+
+function roughMiles(a, b){
+  const lonScale = Math.cos(a.lat * Math.PI/180);
+  return Math.hypot((b.lat - a.lat), (b.lon - a.lon) * lonScale) * 69.0;
+}
+
+function httpError(message, status){
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function nearestVertexMiles(point, geometry){
+  let best = Infinity;
+  for (const p of geometry) best = Math.min(best, roughMiles(point, p));
+  return best;
+}
+
+/* ---------- TOMTOM ---------- */
+
+function normalizeTomTomFlow(raw){
+  if (!raw) return null;
+
+  const coords = raw.coordinates?.coordinate || raw.coordinates || raw.shape || [];
+
+  return {
+    provider:"tomtom",
+    currentSpeed:num(raw.currentSpeed),
+    freeFlowSpeed:num(raw.freeFlowSpeed),
+    currentTravelTime:num(raw.currentTravelTime),
+    freeFlowTravelTime:num(raw.freeFlowTravelTime),
+    confidence:num(raw.confidence),
+    roadClosure:raw.roadClosure === true,
+    geometry:Array.isArray(coords) ? coords.map(toPoint).filter(Boolean) : []
+  };
+}
+
+function createTomTomProvider({ key = process.env.TOMTOM_KEY } = {}){
+  return {
+    name:"tomtom",
+    metered:true,
+    available:!!key,
+
+    async fetchFlow(point){
+      const url =
+        "https://api.tomtom.com/traffic/services/4/flowSegmentData/absolute/10/json" +
+        `?key=${encodeURIComponent(key)}` +
+        `&point=${point.lat},${point.lon}` +
+        "&unit=mph";
+
+      const r = await fetch(url, { signal:AbortSignal.timeout(20000) });
+
+      if (!r.ok) throw httpError(`TomTom flow failed: ${r.status} ${r.statusText}`, r.status);
+
+      const j = await r.json();
+      return normalizeTomTomFlow(j.flowSegmentData);
+    }
+  };
+}
+
+/* ---------- HERE ---------- */
+
+// HERE returns every segment within the search circle; keep the one whose
+// shape passes closest to the probe, which is what TomTom does server-side.
+function normalizeHereFlow(result){
+  const cf = result?.currentFlow;
+  if (!cf) return null;
+
+  const geometry = (result.location?.shape?.links || [])
+    .flatMap(link => (link.points || []).map(toPoint))
+    .filter(Boolean);
+
+  const lengthMeters = num(result.location?.length);
+  const speed = num(cf.speedUncapped ?? cf.speed);
+  const free = num(cf.freeFlow);
+
+  const travelTime = (mps) => (lengthMeters && mps > 0 ? Math.round(lengthMeters / mps) : null);
+
+  return {
+    provider:"here",
+    currentSpeed:speed == null ? null : Number((speed * MPS_TO_MPH).toFixed(1)),
+    freeFlowSpeed:free == null ? null : Number((free * MPS_TO_MPH).toFixed(1)),
+    currentTravelTime:travelTime(speed),
+    freeFlowTravelTime:travelTime(free),
+    confidence:num(cf.confidence),
+    roadClosure:cf.traversability === "closed",
+    geometry
+  };
+}
+
+function pickHereResult(results, point){
+  let best = null;
+  let bestMiles = Infinity;
+
+  for (const result of results || []) {
+    const flow = normalizeHereFlow(result);
+    if (!flow || !flow.geometry.length) continue;
+
+    const miles = nearestVertexMiles(point, flow.geometry);
+    if (miles < bestMiles) {
+      bestMiles = miles;
+      best = flow;
+    }
+  }
+
+  return best;
+}
+
+function createHereProvider({
+  key = process.env.HERE_API_KEY,
+  radiusMeters = Number(process.env.HERE_FLOW_RADIUS_METERS || 60)
+} = {}){
+  return {
+    name:"here",
+    metered:true,
+    available:!!key,
+
+    async fetchFlow(point){
+      const url =
+        "https://data.traffic.hereapi.com/v7/flow" +
+        `?in=circle:${point.lat},${point.lon};r=${radiusMeters}` +
+        "&locationReferencing=shape" +
+        `&apiKey=${encodeURIComponent(key)}`;
+
+      const r = await fetch(url, { signal:AbortSignal.timeout(20000) });
+
+      if (!r.ok) throw httpError(`HERE flow failed: ${r.status} ${r.statusText}`, r.status);
+
+      const j = await r.json();
+      return pickHereResult(j.results, point);
+    }
+  };
+}
+
+/* ---------- REPLAY ---------- */
+
+// Reads a recording of normalized flows: { flows:[{ point, flow }] }. A probe
+// takes the flow whose recorded point or segment shape passes nearest to it
+// within matchMiles, as the live APIs return the segment under the probe;
+// otherwise it gets no flow.
+function createReplayProvider({
+  file = process.env.TQ_REPLAY_FLOW_FILE || "data/tq_flow_recording.json",
+  matchMiles = Number(process.env.TQ_REPLAY_MATCH_MILES || 0.05)
+} = {}){
+  let recorded = null;
+
+  async function load(){
+    if (recorded) return recorded;
+
+    const json = JSON.parse(await fs.readFile(file, "utf8"));
+    recorded = (Array.isArray(json?.flows) ? json.flows : [])
+      .map(r => ({ point:toPoint(r.point), flow:r.flow }))
+      .filter(r => r.point);
+
+    return recorded;
+  }
+
+  return {
+    name:"replay",
+    metered:false,
+    available:true,
+
+    async fetchFlow(point){
+      let best = null;
+      let bestMiles = Infinity;
+
+      for (const r of await load()) {
+        const shape = Array.isArray(r.flow?.geometry) ? r.flow.geometry : [];
+        const miles = Math.min(roughMiles(point, r.point), nearestVertexMiles(point, shape));
+        if (miles < bestMiles) {
+          bestMiles = miles;
+          best = r;
+        }
+      }
+
+      if (!best || bestMiles > matchMiles || !best.flow) return null;
+      return { ...best.flow, provider:"replay" };
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  tomtom:createTomTomProvider,
+  here:createHereProvider,
+  replay:createReplayProvider
+};
+
+// TQ_FLOW_PROVIDERS is an ordered fallback list, e.g. "tomtom,here": the
+// estimator moves to the next provider once one runs out of budget or has
+// its key rejected.
+function createFlowProviders(names = process.env.TQ_FLOW_PROVIDERS || "tomtom"){
+  return String(names)
+    .split(",")
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean)
+    .map(name => {
+      const factory = PROVIDER_FACTORIES[name];
+      if (!factory) throw new Error(`Unknown traffic flow provider "${name}".`);
+      return factory();
+    });
+}
+
+export {
+  createFlowProviders,
+  createTomTomProvider,
+  createHereProvider,
+  createReplayProvider,
+  normalizeTomTomFlow,
+  normalizeHereFlow
+};
@@ -1,23 +1,31 @@
 import fs from "node:fs";
 import path from "node:path";
-import { XMLParser } from "fast-xml-parser";
+import { pathToFileURL } from "node:url";
+
+import { decodeMetar, runwayWinds, crosswindAlert } from "./metar_decode.mjs";
+import { createNotamSource, normalizeNotam, summarizeNotams } from "./notam_sources.mjs";
+import { parseNasXml } from "./nas_status.mjs";
+import { parseTafGroups, buildTafTimeline } from "./taf_decode.mjs";
+import {
+  boundaryPolygons,
+  intersectsPolygons,
+  polygonsBbox,
+  normalizeAirSigmet,
+  normalizeGAirmet,
+  normalizePirep,
+  currentGAirmets,
+  advisoriesCovering
+} from "./airport_advisories.mjs";
+import { updateHistory } from "./airport_history.mjs";
 
 const OUTPUT_PATH = path.join("data", "airports_live.json");
+const REGISTRY_PATH = path.join("data", "airports_registry.json");
+const HISTORY_PATH = path.join("data", "airports_history.json");
 
-const AIRPORTS = [
-  "KPIT","KAGC","KLBE","KJST","KERI","KDUJ","KBFD","KBTP","KFKL","KIDI",
-  "KMDT","KCXY","KMUI","KUNV","KAOO","KLNS","KIPT",
-  "KPHL","KABE","KAVP","KHZL"
-];
-
-const AIRPORT_META = {
-  KPIT:{iata:"PIT"}, KAGC:{iata:"AGC"}, KLBE:{iata:"LBE"}, KJST:{iata:"JST"},
-  KERI:{iata:"ERI"}, KDUJ:{iata:"DUJ"}, KBFD:{iata:"BFD"}, KBTP:{iata:"BTP"},
-  KFKL:{iata:"FKL"}, KIDI:{iata:"IDI"},
-  KMDT:{iata:"MDT"}, KCXY:{iata:"CXY"}, KMUI:{iata:"MUI"}, KUNV:{iata:"SCE"},
-  KAOO:{iata:"AOO"}, KLNS:{iata:"LNS"}, KIPT:{iata:"IPT"},
-  KPHL:{iata:"PHL"}, KABE:{iata:"ABE"}, KAVP:{iata:"AVP"}, KHZL:{iata:"HZL"}
-};
+// ICAO, IATA, name, county, PEMA region, position and runways per airport.
+const REGISTRY = JSON.parse(fs.readFileSync(REGISTRY_PATH, "utf8")).airports;
+const AIRPORTS = REGISTRY.map(a => a.icao);
+const AIRPORT_META = Object.fromEntries(REGISTRY.map(a => [a.icao, a]));
 
 const FAA_NAS_XML_URL = "https://nasstatus.faa.gov/api/airport-status-information";
 const FAA_OPS_PLAN_URL = "https://www.fly.faa.gov/adv/adv_spt";
@@ -25,32 +33,23 @@ const FAA_OPS_PLAN_URL = "https://www.fly.faa.gov/adv/adv_spt";
 const METAR_URL = (ids) =>
   `https://aviationweather.gov/api/data/metar?ids=${encodeURIComponent(ids.join(","))}&format=json`;
 
+const TAF_URL = (ids) =>
+  `https://aviationweather.gov/api/data/taf?ids=${encodeURIComponent(ids.join(","))}&format=json`;
+
+const AIRSIGMET_URL = "https://aviationweather.gov/api/data/airsigmet?format=json";
+const GAIRMET_URL = "https://aviationweather.gov/api/data/gairmet?format=json";
+const PIREP_URL = (bbox) =>
+  `https://aviationweather.gov/api/data/pirep?format=json&age=${PIREP_AGE_HOURS}&bbox=${bbox.join(",")}`;
+
+const PA_BOUNDARY_PATH = path.join("data", "pa_boundary.geojson");
+const PIREP_AGE_HOURS = 3;
+
+const NOTAM_CONCURRENCY = Number(process.env.NOTAM_CONCURRENCY || 4);
+
 function nowIso() {
   return new Date().toISOString();
 }
 
-const STATUS_PRIORITY = [
-  "Closed",
-  "Ground Stop",
-  "Ground Delay",
-  "Arrival Delay",
-  "Departure Delay",
-  "Deicing",
-  "Weather",
-  "Other",
-  "OK",
-  "Unknown"
-];
-
-function betterStatus(a, b) {
-  const ia = STATUS_PRIORITY.indexOf(a);
-  const ib = STATUS_PRIORITY.indexOf(b);
-  if (ia === -1 && ib === -1) return a;
-  if (ia === -1) return b;
-  if (ib === -1) return a;
-  return ia <= ib ? a : b;
-}
-
 function toArray(v) {
   if (!v) return [];
   return Array.isArray(v) ? v : [v];
@@ -83,84 +82,41 @@ async function fetchJson(url) {
   return await res.json();
 }
 
-function parseNasXml(xmlText) {
-  const parser = new XMLParser({
-    ignoreAttributes: false,
-    attributeNamePrefix: "@_",
-    allowBooleanAttributes: true
-  });
-
-  const root = parser.parse(xmlText);
+function parseMetars(metarJson) {
   const out = {};
-  for (const a of AIRPORTS) out[a] = { status: "OK", delay: "—" };
-
-  function walk(node, trail = []) {
-    if (!node) return;
-
-    if (typeof node === "object") {
-      const arpt = pickFirst(node.ARPT, node.Airport, node.airport, node.ARPT_CODE);
-
-      if (arpt && typeof arpt === "string") {
-        const code = arpt.trim().toUpperCase();
-        if (AIRPORTS.includes(code)) {
-          const trailStr = trail.join(" > ").toLowerCase();
-          const name = String(pickFirst(node.Name, node.TYPE, node.Type, node.Event, node.Reason, "")).toLowerCase();
-
-          let status = "Other";
-          if (trailStr.includes("closure") || name.includes("closure") || name.includes("closed")) status = "Closed";
-          else if (trailStr.includes("ground_stop") || trailStr.includes("ground stop") || name.includes("ground stop")) status = "Ground Stop";
-          else if (trailStr.includes("ground_delay") || trailStr.includes("gdp") || name.includes("ground delay")) status = "Ground Delay";
-          else if (trailStr.includes("arrival") || name.includes("arrival")) status = "Arrival Delay";
-          else if (trailStr.includes("departure") || name.includes("departure")) status = "Departure Delay";
-          else if (trailStr.includes("deicing") || name.includes("deicing")) status = "Deicing";
-          else if (trailStr.includes("weather") || name.includes("weather")) status = "Weather";
-
-          const delayVal = pickFirst(
-            node.AvgDelay,
-            node.AVG_DELAY,
-            node.Delay,
-            node.DELAY,
-            node.Delay_Minutes,
-            node.Minutes
-          );
-
-          let delay = "—";
-          if (delayVal !== null && delayVal !== undefined) {
-            const n = Number(String(delayVal).replace(/[^\d.]/g, ""));
-            if (Number.isFinite(n) && n > 0) delay = String(Math.round(n));
-          }
-
-          out[code].status = betterStatus(out[code].status, status);
-          if (delay !== "—") out[code].delay = delay;
-        }
-      }
+  for (const a of AIRPORTS) out[a] = { cat: "—", raw: "—", obsTime: null, decoded: null };
 
-      for (const [k, v] of Object.entries(node)) {
-        if (k.startsWith("@_")) continue;
-        const nextTrail = [...trail, k];
-        if (Array.isArray(v)) v.forEach((x) => walk(x, nextTrail));
-        else if (typeof v === "object") walk(v, nextTrail);
-      }
-    }
+  for (const m of toArray(metarJson)) {
+    const station = String(pickFirst(m.icaoId, m.station, m.stationId, m.id, m.icao, m.rawOb?.slice(0, 4), "") || "").toUpperCase();
+    if (!AIRPORTS.includes(station)) continue;
+
+    const cat = pickFirst(m.fltCat, m.flightCategory, m.fltcat) || "—";
+    const raw = pickFirst(m.rawOb, m.raw, m.metar, m.text) || "—";
+    const obsTime = pickFirst(m.obsTime, m.observationTime, m.reportTime) || null;
+
+    out[station] = { cat, raw, obsTime, decoded: decodeMetar(raw) };
   }
 
-  walk(root, []);
   return out;
 }
 
-function parseMetars(metarJson) {
+function parseTafs(tafJson, now = new Date()) {
   const out = {};
-  for (const a of AIRPORTS) out[a] = { cat: "—", raw: "—", obsTime: null };
+  for (const a of AIRPORTS) out[a] = { raw: "—", issued: null, timeline: [] };
 
-  for (const m of toArray(metarJson)) {
-    const station = String(pickFirst(m.icaoId, m.station, m.stationId, m.id, m.icao, m.rawOb?.slice(0, 4), "") || "").toUpperCase();
+  for (const t of toArray(tafJson)) {
+    const station = String(pickFirst(t.icaoId, t.stationId, t.station, "") || "").toUpperCase();
     if (!AIRPORTS.includes(station)) continue;
 
-    const cat = pickFirst(m.fltCat, m.flightCategory, m.fltcat) || "—";
-    const raw = pickFirst(m.rawOb, m.raw, m.metar, m.text) || "—";
-    const obsTime = pickFirst(m.obsTime, m.observationTime, m.reportTime) || null;
+    const raw = pickFirst(t.rawTAF, t.rawTaf, t.raw) || "—";
+    const issuedAt = pickFirst(t.issueTime, t.bulletinTime, t.dbPopTime) || nowIso();
+    const taf = parseTafGroups(raw, issuedAt);
 
-    out[station] = { cat, raw, obsTime };
+    out[station] = {
+      raw,
+      issued: taf ? taf.issued.toISOString() : null,
+      timeline: buildTafTimeline(taf, now)
+    };
   }
 
   return out;
@@ -410,14 +366,89 @@ async function parseFaaFlow() {
   return base;
 }
 
+async function fetchAdvisories() {
+  const polygons = boundaryPolygons(JSON.parse(fs.readFileSync(PA_BOUNDARY_PATH, "utf8")));
+  const out = { updatedAt: nowIso(), items: [], errors: [] };
+
+  const feeds = [
+    ["SIGMET/AIRMET", () => fetchJson(AIRSIGMET_URL), normalizeAirSigmet],
+    ["G-AIRMET", () => fetchJson(GAIRMET_URL), normalizeGAirmet],
+    ["PIREP", () => fetchJson(PIREP_URL(polygonsBbox(polygons))), normalizePirep]
+  ];
+
+  for (const [name, load, normalize] of feeds) {
+    try {
+      const rows = toArray(await load());
+      const kept = rows
+        .map(normalize)
+        .filter(adv => adv && intersectsPolygons(adv.geometry, polygons));
+
+      out.items.push(...kept);
+    } catch (e) {
+      out.errors.push(`${name}: ${e.message}`);
+      console.error(`${name} fetch/parse failed:`, e.message);
+    }
+  }
+
+  out.items = currentGAirmets(out.items, Date.parse(out.updatedAt));
+  return out;
+}
+
+// Per-airport NOTAMs from the configured source; an airport whose fetch fails
+// is left out rather than shown as having none. Airports are fetched
+// NOTAM_CONCURRENCY at a time and reported in registry order.
+async function fetchNotams() {
+  const source = createNotamSource();
+  const out = { source: source.name, asOf: null, airports: {}, errors: [] };
+
+  if (!source.available) {
+    out.errors.push(`NOTAM source "${source.name}" is not configured`);
+    return out;
+  }
+
+  const queue = [...AIRPORTS];
+  const results = {};
+
+  async function worker() {
+    for (let icao = queue.shift(); icao; icao = queue.shift()) {
+      try {
+        const items = await source.fetchNotams(icao);
+        results[icao] = { notams: items.map(normalizeNotam).filter(Boolean) };
+      } catch (e) {
+        results[icao] = { error: `${icao}: ${e.message}` };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, NOTAM_CONCURRENCY) }, worker));
+
+  for (const icao of AIRPORTS) {
+    if (results[icao]?.notams) out.airports[icao] = results[icao].notams;
+    else if (results[icao]?.error) out.errors.push(results[icao].error);
+  }
+
+  out.asOf = source.asOf;
+  if (out.errors.length) console.error("NOTAM fetch errors:", out.errors.join("; "));
+
+  return out;
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
 async function main() {
-  let nasMap;
+  let nasStatus;
 
   try {
     const nasXml = await fetchText(FAA_NAS_XML_URL);
-    nasMap = parseNasXml(nasXml);
+    nasStatus = parseNasXml(nasXml, REGISTRY);
   } catch (e) {
-    nasMap = {};
+    nasStatus = null;
     console.error("NAS fetch/parse failed:", e.message);
   }
 
@@ -431,6 +462,34 @@ async function main() {
     console.error("METAR fetch/parse failed:", e.message);
   }
 
+  let tafMap;
+
+  try {
+    const tafs = await fetchJson(TAF_URL(AIRPORTS));
+    tafMap = parseTafs(tafs);
+  } catch (e) {
+    tafMap = {};
+    console.error("TAF fetch/parse failed:", e.message);
+  }
+
+  let advisories;
+
+  try {
+    advisories = await fetchAdvisories();
+  } catch (e) {
+    advisories = { updatedAt: nowIso(), items: [], errors: [e.message] };
+    console.error("Advisory fetch failed:", e.message);
+  }
+
+  let notams;
+
+  try {
+    notams = await fetchNotams();
+  } catch (e) {
+    notams = { source: null, asOf: null, airports: {}, errors: [e.message] };
+    console.error("NOTAM fetch failed:", e.message);
+  }
+
   let faaFlow;
 
   try {
@@ -449,33 +508,82 @@ async function main() {
 
   const combined = {
     generatedAt: nowIso(),
+    nasUpdatedAt: nasStatus?.updatedAt ?? null,
     faaFlow,
+    advisories,
+    notams: { source: notams.source, asOf: notams.asOf, errors: notams.errors },
     airports: {}
   };
 
+  const nowMs = Date.parse(combined.generatedAt);
+  const notamNowMs = notams.asOf ? Date.parse(notams.asOf) : nowMs;
+
   for (const icao of AIRPORTS) {
-    const nas = nasMap?.[icao] || { status: "Unknown", delay: "—" };
-    const met = metarMap?.[icao] || { cat: "—", raw: "—", obsTime: null };
+    const nas = nasStatus?.airports?.[icao] || { status: "Unknown", delay: "—", programs: [] };
+    const met = metarMap?.[icao] || { cat: "—", raw: "—", obsTime: null, decoded: null };
+    const taf = tafMap?.[icao] || { raw: "—", issued: null, timeline: [] };
     const flow = faaFlow?.airports?.[icao] || null;
 
+    const meta = AIRPORT_META[icao];
+    const winds = runwayWinds(met.decoded?.wind, meta.runways, meta.magVarDeg);
+    const airportNotams = notams.airports[icao] ?? null;
+    const notamSummary = airportNotams ? summarizeNotams(airportNotams, notamNowMs) : null;
+
     combined.airports[icao] = {
+      icao,
+      iata: meta.iata ?? null,
+      name: meta.name ?? icao,
+      county: meta.county ?? null,
+      pemaRegion: meta.pemaRegion ?? "Unknown",
+      lat: meta.lat ?? null,
+      lon: meta.lon ?? null,
+      runways: meta.runways ?? [],
       status: nas.status ?? "Unknown",
       delay: nas.delay ?? "—",
+      programs: nas.programs ?? [],
       metarCat: met.cat ?? "—",
       metarRaw: met.raw ?? "—",
       metarObsTime: met.obsTime ?? null,
-      faaFlow: flow
+      metar: met.decoded,
+      runwayWinds: winds,
+      crosswind: crosswindAlert(winds),
+      tafRaw: taf.raw,
+      tafIssued: taf.issued,
+      tafTimeline: taf.timeline,
+      faaFlow: flow,
+      advisories: advisoriesCovering(meta, advisories.items, nowMs),
+      notams: airportNotams,
+      runwayClosed: notamSummary?.runwayClosed ?? null,
+      notamSummary
     };
   }
 
+  const previousHistory = readJsonFile(HISTORY_PATH)?.airports || {};
+  const history = updateHistory(combined, previousHistory, Date.parse(combined.generatedAt));
+
   fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
   fs.writeFileSync(OUTPUT_PATH, JSON.stringify(combined, null, 2));
+  fs.writeFileSync(HISTORY_PATH, JSON.stringify(history));
 
-  console.log(`Wrote ${OUTPUT_PATH} at ${combined.generatedAt}`);
+  console.log(`Wrote ${OUTPUT_PATH} and ${HISTORY_PATH} at ${combined.generatedAt}`);
+  console.log(`Advisories over PA: ${advisories.items.length}`);
+  console.log(`NOTAMs (${notams.source}): ${Object.values(notams.airports).reduce((n, list) => n + list.length, 0)} aerodrome items`);
   console.log(`FAA Flow: terminal=${faaFlow?.terminal?.length || 0}, enroute=${faaFlow?.enroute?.length || 0}`);
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
+export {
+  parseMetars,
+  parseTafs,
+  fetchNotams,
+  extractSectionLines,
+  classifyFlowEvent,
+  parseTimeAndEvent,
+  airportCodesFromEvent
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
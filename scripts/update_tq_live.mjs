@@ -2,15 +2,44 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { createFlowProviders, createReplayProvider } from "./traffic_flow_providers.mjs";
 
-const TOMTOM_KEY = process.env.TOMTOM_KEY;
 const OUT_FILE = process.env.TQ_OUT_FILE || "data/tq_live.json";
+const GEOJSON_FILE = process.env.TQ_GEOJSON_FILE || "data/tq_live.geojson";
 
 const SAMPLE_EVERY_MILES = Number(process.env.TQ_SAMPLE_EVERY_MILES || 0.25);
 const MAX_SAMPLE_POINTS = Number(process.env.TQ_MAX_SAMPLE_POINTS || 32);
 const DOWNSTREAM_SAMPLE_POINTS = Number(process.env.TQ_DOWNSTREAM_SAMPLE_POINTS || 6);
 const MAX_EVENTS = Number(process.env.TQ_MAX_EVENTS || 20);
 
+const RUN_CALL_BUDGET = Number(process.env.TQ_RUN_CALL_BUDGET || 400);
+const DAILY_CALL_BUDGET = Number(process.env.TQ_DAILY_CALL_BUDGET || 2400);
+const BUDGET_FILE = process.env.TQ_BUDGET_FILE || "data/tq_budget.json";
+const CACHE_DECIMALS = Number(process.env.TQ_CACHE_DECIMALS || 4);
+const SEGMENT_SNAP_MILES = Number(process.env.TQ_SEGMENT_SNAP_MILES || 0.01);
+const CONFIDENT_PROBE_SCORE = Number(process.env.TQ_CONFIDENT_PROBE_SCORE || 75);
+
+const HISTORY_MAX_POINTS = Number(process.env.TQ_HISTORY_MAX_POINTS || 48);
+const TREND_WINDOW_MINUTES = Number(process.env.TQ_TREND_WINDOW_MINUTES || 60);
+const TREND_MIN_SPAN_MINUTES = Number(process.env.TQ_TREND_MIN_SPAN_MINUTES || 10);
+const TREND_STABLE_MPH = Number(process.env.TQ_TREND_STABLE_MPH || 0.25);
+
+const CENTERLINE_FILE = process.env.TQ_CENTERLINE_FILE || "data/pa_centerlines.json";
+const CENTERLINE_SNAP_MILES = Number(process.env.TQ_CENTERLINE_SNAP_MILES || 0.5);
+const UPSTREAM_WALK_MILES = Number(process.env.TQ_UPSTREAM_WALK_MILES || SAMPLE_EVERY_MILES * MAX_SAMPLE_POINTS);
+const DOWNSTREAM_WALK_MILES = Number(process.env.TQ_DOWNSTREAM_WALK_MILES || SAMPLE_EVERY_MILES * DOWNSTREAM_SAMPLE_POINTS);
+
+const OPPOSITE_SAMPLE_POINTS = Number(process.env.TQ_OPPOSITE_SAMPLE_POINTS || 8);
+const OPPOSITE_BUDGET_RESERVE = Number(process.env.TQ_OPPOSITE_BUDGET_RESERVE || MAX_SAMPLE_POINTS + DOWNSTREAM_SAMPLE_POINTS + 1);
+const SECONDARY_MATCH_MILES = Number(process.env.TQ_SECONDARY_MATCH_MILES || 0.15);
+
+const MIN_QUEUE_SPEED_MPH = Number(process.env.TQ_MIN_QUEUE_SPEED_MPH || 3);
+const JAM_DENSITY_VPMPL = Number(process.env.TQ_JAM_DENSITY_VPMPL || 190);
+const DISCHARGE_VPHPL = Number(process.env.TQ_DISCHARGE_VPHPL || 1800);
+const ARRIVAL_RATIO = Number(process.env.TQ_ARRIVAL_RATIO || 0.6);
+
 const NORMAL_GAP_STOP_MILES = Number(process.env.TQ_NORMAL_GAP_STOP_MILES || 0.5);
 const UNKNOWN_GAP_ALLOW_MILES = Number(process.env.TQ_UNKNOWN_GAP_ALLOW_MILES || 0.35);
 
@@ -20,8 +49,6 @@ const INPUT_FILES = (process.env.TQ_INPUT_FILES || "data/major_route_closures.js
 const MANUAL_EVENT_IDS = (process.env.TQ_EVENT_IDS || process.env.EVENT_IDS || "")
   .split(",").map(s => s.trim()).filter(Boolean);
 
-if (!TOMTOM_KEY) throw new Error("Missing TOMTOM_KEY environment variable.");
-
 function nowIso(){ return new Date().toISOString(); }
 
 async function readJsonIfExists(file){
@@ -29,6 +56,11 @@ async function readJsonIfExists(file){
   catch { return null; }
 }
 
+async function writeJson(file, data){
+  await ensureDir(file);
+  await fs.writeFile(file, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
 function textOf(item){
   return String(item?.formatted || item?.description || item?.title || item?.text || "").trim();
 }
@@ -85,13 +117,37 @@ async function discoverEventIds(){
           eventId:id,
           source:file,
           sourceText:textOf(item),
-          sourceRoute:routeish(item)
+          sourceRoute:routeish(item),
+          anticipatedEndTime:item.anticipated_end_time || null,
+          anticipatedEndAt:item.anticipated_end_time_at || null,
+          direction:item.direction || null,
+          location:Number.isFinite(item.location?.lat) && Number.isFinite(item.location?.lon)
+            ? { lat:item.location.lat, lon:item.location.lon }
+            : null,
+          severity:Number.isFinite(Number(item.severity)) ? Number(item.severity) : null,
+          fullClosure:json.name === "major_route_closures",
+          fileRank:INPUT_FILES.indexOf(file)
         });
       }
     }
   }
 
-  return [...ids.values()].slice(0, MAX_EVENTS);
+  return [...ids.values()].sort(compareDiscovered);
+}
+
+// Manual IDs first, then full closures, then most severe first, so the flow
+// call budget goes to closures before lane restrictions when it runs short.
+function compareDiscovered(a, b){
+  const manual = (b.source === "manual") - (a.source === "manual");
+  if (manual) return manual;
+
+  const closure = !!b.fullClosure - !!a.fullClosure;
+  if (closure) return closure;
+
+  const sev = (b.severity ?? -1) - (a.severity ?? -1);
+  if (sev) return sev;
+
+  return (a.fileRank ?? 0) - (b.fileRank ?? 0);
 }
 
 function milesBetween(a,b){
@@ -125,6 +181,39 @@ function axialAngleDiff(a,b){
   return Math.min(angleDiff(a,b), angleDiff(a,(b + 180) % 360));
 }
 
+function travelBearing(direction){
+  const d = String(direction || "").toUpperCase();
+
+  if (d.startsWith("N")) return 0;
+  if (d.startsWith("E")) return 90;
+  if (d.startsWith("S")) return 180;
+  if (d.startsWith("W")) return 270;
+
+  return null;
+}
+
+function oppositeDirection(direction){
+  const d = String(direction || "").trim().toUpperCase();
+
+  if (d.startsWith("N")) return "SOUTH";
+  if (d.startsWith("S")) return "NORTH";
+  if (d.startsWith("E")) return "WEST";
+  if (d.startsWith("W")) return "EAST";
+
+  return null;
+}
+
+// Flow segment shapes run in the direction of travel, so a `directional`
+// lookup can tell the two carriageways apart where the axis check cannot.
+function isWrongWayFlow(flow, incident){
+  if (!incident.directional) return false;
+
+  const travel = travelBearing(incident.direction);
+  const flowBearing = flowGeometryBearing(flow);
+
+  return travel !== null && flowBearing !== null && angleDiff(travel, flowBearing) > 90;
+}
+
 function routeAxisBearing(direction){
   const d = String(direction || "").toUpperCase();
 
@@ -135,7 +224,7 @@ function routeAxisBearing(direction){
 }
 
 function flowGeometryBearing(flow){
-  const geom = tomTomGeometryFromFlow(flow);
+  const geom = flowGeometry(flow);
   if (geom.length < 2) return null;
 
   return bearingDeg(geom[0], geom[geom.length - 1]);
@@ -151,26 +240,31 @@ function offsetPoint(point, northMiles, eastMiles){
   };
 }
 
+// Traffic keeps right, so the carriageway for a direction sits to the right
+// of travel: south of the road for eastbound, east of it for northbound.
+// Probing that side first usually finds the mainline before the far side.
 function probePointsForDirection(point, direction){
   const d = String(direction || "").toUpperCase();
 
   if (d.startsWith("E") || d.startsWith("W")) {
+    const side = d.startsWith("E") ? -1 : 1;
     return [
       point,
-      offsetPoint(point, 0.02, 0),
-      offsetPoint(point, -0.02, 0),
-      offsetPoint(point, 0.04, 0),
-      offsetPoint(point, -0.04, 0)
+      offsetPoint(point, side * 0.02, 0),
+      offsetPoint(point, -side * 0.02, 0),
+      offsetPoint(point, side * 0.04, 0),
+      offsetPoint(point, -side * 0.04, 0)
     ];
   }
 
   if (d.startsWith("N") || d.startsWith("S")) {
+    const side = d.startsWith("N") ? 1 : -1;
     return [
       point,
-      offsetPoint(point, 0, 0.02),
-      offsetPoint(point, 0, -0.02),
-      offsetPoint(point, 0, 0.04),
-      offsetPoint(point, 0, -0.04)
+      offsetPoint(point, 0, side * 0.02),
+      offsetPoint(point, 0, -side * 0.02),
+      offsetPoint(point, 0, side * 0.04),
+      offsetPoint(point, 0, -side * 0.04)
     ];
   }
 
@@ -311,27 +405,8 @@ function samplePath(points, everyMiles, maxPoints){
   return samples;
 }
 
-function normalizeTomTomCoordinate(c) {
-  if (!c) return null;
-
-  const lat = Number(c.latitude ?? c.lat);
-  const lon = Number(c.longitude ?? c.lon ?? c.lng);
-
-  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
-
-  return { lat, lon };
-}
-
-function tomTomGeometryFromFlow(flow) {
-  const coords =
-    flow?.coordinates?.coordinate ||
-    flow?.coordinates ||
-    flow?.shape ||
-    [];
-
-  if (!Array.isArray(coords)) return [];
-
-  return coords.map(normalizeTomTomCoordinate).filter(Boolean);
+function flowGeometry(flow) {
+  return Array.isArray(flow?.geometry) ? flow.geometry : [];
 }
 
 function pathLengthMiles(points) {
@@ -362,18 +437,18 @@ function uniquePoints(points) {
   return out;
 }
 
-function expandGeometryWithTomTomFlow(incidentPoint, direction, initialFlow) {
-  const tomtomGeom = tomTomGeometryFromFlow(initialFlow);
-  if (tomtomGeom.length < 2) return [];
+function expandGeometryWithFlow(incidentPoint, direction, initialFlow) {
+  const flowGeom = flowGeometry(initialFlow);
+  if (flowGeom.length < 2) return [];
 
-  const upstream = upstreamPath(tomtomGeom, incidentPoint, direction);
+  const upstream = upstreamPath(flowGeom, incidentPoint, direction);
   const sampled = samplePath(upstream, SAMPLE_EVERY_MILES, MAX_SAMPLE_POINTS);
 
   return uniquePoints(sampled);
 }
 
-async function fetch511Incident(id){
-  const url = `https://www.511pa.com/map/data/MajorRouteIncident/${encodeURIComponent(id)}`;
+async function fetch511Incident(id, layer = "MajorRouteIncident"){
+  const url = `https://www.511pa.com/map/data/${encodeURIComponent(layer)}/${encodeURIComponent(id)}`;
 
   const r = await fetch(url, {
     headers: {
@@ -381,7 +456,8 @@ async function fetch511Incident(id){
       "User-Agent": "Mozilla/5.0 tq-live-beta",
       "X-Requested-With": "XMLHttpRequest",
       "Referer": "https://www.511pa.com/map"
-    }
+    },
+    signal: AbortSignal.timeout(20000)
   });
 
   if (!r.ok) throw new Error(`511PA incident ${id} failed: ${r.status} ${r.statusText}`);
@@ -395,19 +471,268 @@ async function fetch511Incident(id){
   }
 }
 
-async function fetchTomTomFlow(point){
-  const url =
-    "https://api.tomtom.com/traffic/services/4/flowSegmentData/absolute/10/json" +
-    `?key=${encodeURIComponent(TOMTOM_KEY)}` +
-    `&point=${point.lat},${point.lon}` +
-    "&unit=mph";
+// --record <dir> keeps every 511PA incident and flow response of a live run
+// as a fixture; --replay <dir> runs analyzeIncident from those files alone.
+//
+//   events.json       analyzed event IDs and the discovered candidates
+//   incidents/<id>    raw 511PA incident responses
+//   flows.json        { flows:[{ point, flow }] } for the replay provider
+//   centerlines.json  centerline parts for the recorded routes
+//   estimated.json    what the live run estimated, for comparison only
+//
+// expected.json is not written by a recording: it holds queue lengths
+// established independently of the estimator, with the toleranceMiles they
+// are good to, and is what the replay tests check against. For a recording
+// those come from camera or probe observations at the recording time; the
+// synthetic fixtures instead carry the queue lengths their flows were laid
+// out with, and their events.json and flows.json say so in "source".
+let fixture = null;
+
+const recording = { incidents:new Map(), flows:[] };
+
+function parseFixtureArgs(argv){
+  for (let i = 0; i < argv.length; i++) {
+    const m = String(argv[i]).match(/^--(record|replay)(?:=(.+))?$/);
+    if (!m) continue;
+
+    const dir = m[2] ?? argv[i + 1];
+    if (!dir || dir.startsWith("--")) throw new Error(`--${m[1]} needs a fixture directory.`);
+
+    return { mode:m[1], dir };
+  }
+
+  return null;
+}
+
+function fixturePath(...parts){
+  return path.join(fixture.dir, ...parts);
+}
+
+async function loadIncident(id){
+  if (fixture?.mode === "replay") {
+    const raw = await readJsonIfExists(fixturePath("incidents", `${id}.json`));
+    if (!raw) throw new Error(`Incident ${id} is not in the recording at ${fixture.dir}.`);
+    return raw;
+  }
+
+  const raw = await fetch511Incident(id);
+  if (fixture?.mode === "record") recording.incidents.set(String(id), raw);
+
+  return raw;
+}
+
+const KEY_FAILURE_STATUSES = new Set([401, 403, 429]);
+
+let flowProviders = [];
+
+const flowCache = new Map();
+const segmentCache = [];
+
+const flowUsage = {
+  day:null,
+  budgetFile:null,
+  providers:{},
+  cacheHits:0,
+  segmentHits:0,
+  skippedForBudget:0
+};
+
+function providerUsage(name){
+  if (!flowUsage.providers[name]) flowUsage.providers[name] = { runCalls:0, dayCalls:0 };
+  return flowUsage.providers[name];
+}
+
+function providerBudget(name){
+  const key = name.toUpperCase();
+  return {
+    run:Number(process.env[`TQ_RUN_CALL_BUDGET_${key}`] || RUN_CALL_BUDGET),
+    daily:Number(process.env[`TQ_DAILY_CALL_BUDGET_${key}`] || DAILY_CALL_BUDGET)
+  };
+}
+
+async function loadFlowBudget(file = BUDGET_FILE){
+  const saved = await readJsonIfExists(file);
+  const today = nowIso().slice(0, 10);
+
+  flowUsage.day = today;
+  flowUsage.budgetFile = file;
+
+  for (const provider of flowProviders) {
+    const calls = saved?.day === today ? Number(saved.calls?.[provider.name] || 0) : 0;
+    providerUsage(provider.name).dayCalls = calls;
+  }
+}
+
+// Written once when the run finishes and again whenever a metered call fails,
+// so an aborted run still records what it spent. Replays never load a budget
+// and write none.
+async function saveFlowBudget(){
+  if (!flowUsage.budgetFile) return;
+
+  const calls = {};
+  const dailyBudget = {};
+
+  for (const provider of flowProviders.filter(p => p.metered)) {
+    calls[provider.name] = providerUsage(provider.name).dayCalls;
+    dailyBudget[provider.name] = providerBudget(provider.name).daily;
+  }
+
+  await writeJson(flowUsage.budgetFile, {
+    day:flowUsage.day,
+    calls,
+    daily_budget:dailyBudget,
+    updated:nowIso()
+  });
+}
+
+function callsRemaining(provider){
+  if (!provider.metered) return Infinity;
+
+  const used = providerUsage(provider.name);
+  const budget = providerBudget(provider.name);
+
+  return Math.max(0, Math.min(budget.run - used.runCalls, budget.daily - used.dayCalls));
+}
+
+// Calls left across every provider with a key, Infinity for an unmetered one.
+function flowCallsRemaining(){
+  return flowProviders
+    .filter(p => p.available)
+    .reduce((sum, p) => sum + callsRemaining(p), 0);
+}
+
+// First configured provider that has a key and budget left.
+function activeFlowProvider(){
+  return flowProviders.find(p => p.available && callsRemaining(p) > 0) || null;
+}
+
+function flowUsageSummary(){
+  return {
+    day:flowUsage.day,
+    providers:flowProviders.map(p => {
+      const used = providerUsage(p.name);
+      const budget = providerBudget(p.name);
+
+      return {
+        name:p.name,
+        available:p.available,
+        metered:p.metered,
+        runCalls:used.runCalls,
+        runBudget:p.metered ? budget.run : null,
+        dayCalls:used.dayCalls,
+        dailyBudget:p.metered ? budget.daily : null
+      };
+    }),
+    cacheHits:flowUsage.cacheHits,
+    segmentHits:flowUsage.segmentHits,
+    eventsSkippedForBudget:flowUsage.skippedForBudget
+  };
+}
+
+function flowCacheKey(point){
+  return `${point.lat.toFixed(CACHE_DECIMALS)},${point.lon.toFixed(CACHE_DECIMALS)}`;
+}
+
+// The carriageways of a divided highway sit closer together than
+// SEGMENT_SNAP_MILES allows for, so cached flows are only shared between
+// lookups for the same direction of travel.
+function flowDirectionKey(direction){
+  const d = String(direction || "").trim().toUpperCase()[0];
+  return "NSEW".includes(d || "-") ? d : "*";
+}
+
+function pointToSegmentMiles(p, a, b){
+  const lonScale = Math.cos(p.lat * Math.PI/180);
+  const ax = (a.lon - p.lon) * lonScale, ay = a.lat - p.lat;
+  const bx = (b.lon - p.lon) * lonScale, by = b.lat - p.lat;
+
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx*dx + dy*dy;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, -(ax*dx + ay*dy) / len2)) : 0;
+
+  return Math.hypot(ax + t*dx, ay + t*dy) * 69.0;
+}
+
+function pointToPathMiles(point, path){
+  if (path.length === 1) return milesBetween(point, path[0]);
+
+  let best = Infinity;
+  for (let i = 1; i < path.length; i++) {
+    best = Math.min(best, pointToSegmentMiles(point, path[i - 1], path[i]));
+  }
+  return best;
+}
+
+// A flow segment often spans several sample points, so a point that falls on
+// a segment we already hold reuses that response instead of paying for
+// another call.
+function cachedFlow(point, direction){
+  const dir = flowDirectionKey(direction);
+  const key = `${dir}|${flowCacheKey(point)}`;
+
+  if (flowCache.has(key)) {
+    flowUsage.cacheHits++;
+    return { hit:true, flow:flowCache.get(key) };
+  }
+
+  const seg = segmentCache.find(s => s.direction === dir && pointToPathMiles(point, s.geometry) <= SEGMENT_SNAP_MILES);
+  if (seg) {
+    flowUsage.segmentHits++;
+    flowCache.set(key, seg.flow);
+    return { hit:true, flow:seg.flow };
+  }
 
-  const r = await fetch(url);
+  return { hit:false, flow:null };
+}
+
+function rememberFlow(point, direction, flow){
+  const dir = flowDirectionKey(direction);
+  flowCache.set(`${dir}|${flowCacheKey(point)}`, flow);
 
-  if (!r.ok) throw new Error(`TomTom flow failed: ${r.status} ${r.statusText}`);
+  const geometry = flowGeometry(flow);
+  if (geometry.length < 2) return;
 
-  const j = await r.json();
-  return j.flowSegmentData || null;
+  const key = [dir, ...[geometry[0], geometry[geometry.length - 1]].map(flowCacheKey)].join("|");
+  if (!segmentCache.some(s => s.key === key)) segmentCache.push({ key, direction:dir, geometry, flow });
+}
+
+async function fetchFlow(point, direction){
+  const cached = cachedFlow(point, direction);
+  if (cached.hit) return cached.flow;
+
+  const provider = activeFlowProvider();
+  if (!provider) {
+    throw new Error("Traffic flow call budget exhausted for every provider.");
+  }
+
+  if (provider.metered) {
+    const used = providerUsage(provider.name);
+    used.runCalls++;
+    used.dayCalls++;
+  }
+
+  let flow;
+
+  try {
+    flow = await provider.fetchFlow(point);
+  } catch (e) {
+    if (provider.metered) await saveFlowBudget();
+
+    // A rejected or exhausted key takes the provider out for the rest of the
+    // run so the next one in TQ_FLOW_PROVIDERS picks up.
+    if (KEY_FAILURE_STATUSES.has(e?.status)) {
+      provider.available = false;
+      console.warn(`${provider.name} returned ${e.status}; switching flow provider.`);
+      return fetchFlow(point, direction);
+    }
+    throw e;
+  }
+
+  if (fixture?.mode === "record") recording.flows.push({ point, flow });
+
+  rememberFlow(point, direction, flow);
+
+  return flow;
 }
 
 function incidentLooksLikeInterstate(incident){
@@ -436,10 +761,10 @@ function isLikelyBadFlowForRoute(flow, incident){
     if (diff > 40) return true;
   }
 
-  return false;
+  return isWrongWayFlow(flow, incident);
 }
 
-function scoreTomTomFlow(flow, incident){
+function scoreFlow(flow, incident){
   if (!flow) return -9999;
 
   const current = Number(flow.currentSpeed);
@@ -469,6 +794,8 @@ function scoreTomTomFlow(flow, incident){
     else score -= 50;
   }
 
+  if (isWrongWayFlow(flow, incident)) score -= 60;
+
   const ratio = current / free;
 
   if (flow.roadClosure === true) score += 30;
@@ -480,7 +807,7 @@ function scoreTomTomFlow(flow, incident){
   return score;
 }
 
-async function fetchBestTomTomFlow(point, incident){
+async function fetchBestFlow(point, incident){
   const probes = probePointsForDirection(point, incident.direction);
 
   let best = null;
@@ -489,8 +816,8 @@ async function fetchBestTomTomFlow(point, incident){
 
   for (const probe of probes) {
     try {
-      const flow = await fetchTomTomFlow(probe);
-      const score = scoreTomTomFlow(flow, incident);
+      const flow = await fetchFlow(probe, incident.direction);
+      const score = scoreFlow(flow, incident);
 
       attempts.push({
         probe,
@@ -505,6 +832,8 @@ async function fetchBestTomTomFlow(point, incident){
         bestScore = score;
         best = flow;
       }
+
+      if (score >= CONFIDENT_PROBE_SCORE) break;
     } catch (e) {
       attempts.push({
         probe,
@@ -596,15 +925,46 @@ function averageFlowStats(samples) {
   };
 }
 
+// Travel times cover the provider's whole segment and are not rounded to a
+// whole mph, so when both are present their ratio sets the current speed.
+function sampleSpeeds(sample){
+  const free = Number(sample?.freeFlowSpeed);
+  const currentTime = Number(sample?.currentTravelTime);
+  const freeTime = Number(sample?.freeFlowTravelTime);
+
+  const current = currentTime > 0 && freeTime > 0
+    ? free * freeTime / currentTime
+    : Number(sample?.currentSpeed);
+
+  if (sample?.state === "unknown" || !Number.isFinite(current) || !Number.isFinite(free) || free <= 0) return null;
+
+  return { current:Math.max(current, MIN_QUEUE_SPEED_MPH), free };
+}
+
 function summarizeSamples(samples){
   let tqMiles = 0;
   let backlogMiles = 0;
   let totalAffectedMiles = 0;
   let sampledMiles = 0;
 
+  // Extra minutes versus free flow, and hours spent crossing the queue, over
+  // the stretches counted as queue. Unknown gaps borrow the last known speed.
+  let delayMinutes = 0;
+  let queueHours = 0;
+  let timedMiles = 0;
+  let lastSpeeds = null;
+
+  const addDelay = (seg, speeds) => {
+    if (!speeds) return;
+    delayMinutes += seg * (60 / speeds.current - 60 / speeds.free);
+    queueHours += seg / speeds.current;
+    timedMiles += seg;
+  };
+
   let started = false;
   let normalGapMiles = 0;
   let unknownGapMiles = 0;
+  let queueEndIndex = 0;
 
   for (let i=1; i<samples.length; i++) {
     const prev = samples[i-1];
@@ -613,12 +973,17 @@ function summarizeSamples(samples){
     const seg = milesBetween(prev.point, cur.point);
     sampledMiles += seg;
 
+    const speeds = sampleSpeeds(cur);
+    if (speeds) lastSpeeds = speeds;
+
     if (isQueuedState(cur.state)) {
       started = true;
       normalGapMiles = 0;
       unknownGapMiles = 0;
 
       totalAffectedMiles += seg;
+      addDelay(seg, speeds);
+      queueEndIndex = i;
 
       if (isHardQueueState(cur.state)) {
         tqMiles += seg;
@@ -634,6 +999,8 @@ function summarizeSamples(samples){
         unknownGapMiles += seg;
         totalAffectedMiles += seg;
         backlogMiles += seg;
+        addDelay(seg, lastSpeeds);
+        queueEndIndex = i;
       }
       continue;
     }
@@ -644,6 +1011,8 @@ function summarizeSamples(samples){
         unknownGapMiles = 0;
         totalAffectedMiles += seg;
         backlogMiles += seg;
+        addDelay(seg, speeds);
+        queueEndIndex = i;
       }
       continue;
     }
@@ -664,10 +1033,35 @@ function summarizeSamples(samples){
     backlogMiles: Number(backlogMiles.toFixed(2)),
     totalAffectedMiles: Number(totalAffectedMiles.toFixed(2)),
     sampledMiles: Number(sampledMiles.toFixed(2)),
+    delayMinutes: Number(Math.max(0, delayMinutes).toFixed(1)),
+    avgQueueSpeedMph: queueHours > 0 ? Number((timedMiles / queueHours).toFixed(1)) : null,
+    queueEndIndex,
     started
   };
 }
 
+// Once the road reopens the queue discharges at capacity while new traffic
+// keeps arriving at ARRIVAL_RATIO of it. Per-lane figures cancel out, so lane
+// count is not needed. Slow backlog is counted at half jam density.
+function estimateClearance(summary, anticipatedEndAt, now = new Date()){
+  const netDischarge = DISCHARGE_VPHPL * (1 - ARRIVAL_RATIO);
+  const queuedVehicles = (summary.tqMiles + summary.backlogMiles * 0.5) * JAM_DENSITY_VPMPL;
+
+  if (!summary.started || netDischarge <= 0) {
+    return { clearanceMinutes:null, estimatedClearAt:null };
+  }
+
+  const clearanceMinutes = Math.round(queuedVehicles / netDischarge * 60);
+
+  const endMs = Date.parse(anticipatedEndAt || "");
+  const reopenMs = Number.isFinite(endMs) ? Math.max(endMs, now.getTime()) : null;
+
+  return {
+    clearanceMinutes,
+    estimatedClearAt:reopenMs == null ? null : new Date(reopenMs + clearanceMinutes * 60000).toISOString()
+  };
+}
+
 function confidenceFromValidation(upstreamSamples, downstreamSamples, baseConfidence, summary) {
   const up = averageFlowStats(upstreamSamples);
   const down = averageFlowStats(downstreamSamples);
@@ -740,10 +1134,120 @@ function normalizeIncident(raw,id){
   };
 }
 
-function buildGeometry(incident, incidentPoint, initialFlow) {
+let centerlines = null;
+
+async function loadCenterlines(){
+  if (!centerlines) {
+    const replaying = fixture?.mode === "replay";
+    const file = replaying ? fixturePath("centerlines.json") : CENTERLINE_FILE;
+
+    centerlines = (await readJsonIfExists(file))?.routes || {};
+    if (!Object.keys(centerlines).length && !replaying) {
+      console.warn(`No road centerlines in ${CENTERLINE_FILE}; upstream walks fall back to flow geometry. Run the Update Road Centerlines workflow (scripts/build_centerlines.py) to build it.`);
+    }
+  }
+  return centerlines;
+}
+
+// "I 80", "Interstate 80", "US-322", "PA 28" and "SR 0028" to I-80, US-322,
+// PA-28 and PA-28; centerlines are keyed the same way.
+function routeKey(route){
+  const m = String(route || "").toUpperCase().match(/\b(INTERSTATE|I|US|PA|SR)\s*[- ]?\s*0*(\d{1,4})\b/);
+  if (!m) return null;
+
+  const prefix = { INTERSTATE:"I", SR:"PA" }[m[1]] || m[1];
+  return `${prefix}-${Number(m[2])}`;
+}
+
+function eventRouteKey(ev){
+  return routeKey(ev.route) || routeKey(ev.description);
+}
+
+function projectOntoPath(point, path){
+  let best = null;
+
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1], b = path[i];
+    const lonScale = Math.cos(point.lat * Math.PI/180);
+
+    const dx = (b.lon - a.lon) * lonScale, dy = b.lat - a.lat;
+    const px = (point.lon - a.lon) * lonScale, py = point.lat - a.lat;
+    const len2 = dx*dx + dy*dy;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, (px*dx + py*dy) / len2)) : 0;
+
+    const snapped = interpolate(a, b, t);
+    const miles = milesBetween(point, snapped);
+
+    if (!best || miles < best.miles) best = { index:i, point:snapped, miles };
+  }
+
+  return best;
+}
+
+function walkPath(start, points, maxMiles){
+  const out = [start];
+  let walked = 0;
+  let prev = start;
+
+  for (const p of points) {
+    const seg = milesBetween(prev, p);
+
+    if (walked + seg >= maxMiles) {
+      out.push(interpolate(prev, p, seg > 0 ? (maxMiles - walked) / seg : 0));
+      return out;
+    }
+
+    walked += seg;
+    out.push(p);
+    prev = p;
+  }
+
+  return out;
+}
+
+// Centerlines are stored per direction of travel, each part already running
+// the way that carriageway's traffic drives.
+function centerlineParts(lines, incident){
+  const key = eventRouteKey(incident);
+  const parts = key ? lines[key]?.directions?.[flowDirectionKey(incident.direction)] : null;
+  return Array.isArray(parts) ? parts : [];
+}
+
+// Cuts the incident direction's centerline from UPSTREAM_WALK_MILES behind
+// the incident to DOWNSTREAM_WALK_MILES past it.
+function centerlineGeometry(lines, incident, incidentPoint){
+  let best = null;
+
+  for (const raw of centerlineParts(lines, incident)) {
+    const path = raw.map(([lat, lon]) => ({ lat, lon }));
+    if (path.length < 2) continue;
+
+    const hit = projectOntoPath(incidentPoint, path);
+    if (hit && (!best || hit.miles < best.hit.miles)) best = { path, hit };
+  }
+
+  if (!best || best.hit.miles > CENTERLINE_SNAP_MILES) return [];
+
+  const { path, hit } = best;
+  const behind = walkPath(hit.point, path.slice(0, hit.index).reverse(), UPSTREAM_WALK_MILES);
+  const ahead = walkPath(hit.point, path.slice(hit.index), DOWNSTREAM_WALK_MILES);
+
+  return uniquePoints([...behind.reverse(), ...ahead.slice(1)]);
+}
+
+function buildGeometry(incident, incidentPoint, initialFlow, lines = {}) {
   let geometrySource = "511PA polyline";
   let geometry = decodePolyline(incident.polyline);
 
+  if (geometry.length < 2) {
+    const walked = centerlineGeometry(lines, incident, incidentPoint);
+
+    if (walked.length >= 2) {
+      geometrySource = "PA road centerline";
+      geometry = walked;
+    }
+  }
+
   if (geometry.length < 2 && incident.secondaryLat && incident.secondaryLon) {
     geometrySource = "511PA primary/secondary points";
     geometry = [
@@ -753,10 +1257,10 @@ function buildGeometry(incident, incidentPoint, initialFlow) {
   }
 
   if (geometry.length < 2 && initialFlow) {
-    const expanded = expandGeometryWithTomTomFlow(incidentPoint, incident.direction, initialFlow);
+    const expanded = expandGeometryWithFlow(incidentPoint, incident.direction, initialFlow);
 
     if (expanded.length >= 2) {
-      geometrySource = "TomTom flow segment geometry";
+      geometrySource = `${initialFlow.provider || "traffic"} flow segment geometry`;
       geometry = expanded;
     }
   }
@@ -786,7 +1290,8 @@ function makeSample(point, bestResult, incident, error = null) {
     point,
     state: badFlow ? "unknown" : classifyFlow(flow),
     badFlow,
-    tomtomScore: bestResult?.score ?? null,
+    provider: flow?.provider ?? null,
+    flowScore: bestResult?.score ?? null,
     currentSpeed: flow?.currentSpeed ?? null,
     freeFlowSpeed: flow?.freeFlowSpeed ?? null,
     currentTravelTime: flow?.currentTravelTime ?? null,
@@ -798,9 +1303,135 @@ function makeSample(point, bestResult, incident, error = null) {
   };
 }
 
+// Walks the other carriageway's own centerline, or without one the flow
+// segment the probes find for that direction at the incident: the incident
+// geometry belongs to this direction, so probing along it would mostly
+// re-read the same queue. Keeps OPPOSITE_BUDGET_RESERVE calls back for the
+// events still to come, whose own direction matters more.
+async function sampleOppositeDirection(incident, incidentPoint, lines){
+  const direction = oppositeDirection(incident.direction);
+  if (!direction || OPPOSITE_SAMPLE_POINTS <= 0) return null;
+
+  const opposite = { ...incident, direction, directional:true };
+  const skipped = (reason) => ({ direction, detected:false, skipped:reason });
+  const heldBack = "Traffic flow call budget held back for other events.";
+
+  let walked = centerlineGeometry(lines, opposite, incidentPoint);
+  let geometrySource = "PA road centerline";
+
+  if (walked.length < 2) {
+    if (flowCallsRemaining() < probePointsForDirection(incidentPoint, direction).length + OPPOSITE_BUDGET_RESERVE) {
+      return skipped(heldBack);
+    }
+
+    const { flow } = await fetchBestFlow(incidentPoint, opposite);
+    if (isLikelyBadFlowForRoute(flow, opposite) || flowGeometry(flow).length < 2) {
+      return skipped(`No ${direction.toLowerCase()}bound centerline or flow segment near the incident.`);
+    }
+
+    walked = flowGeometry(flow);
+    geometrySource = `${flow.provider || "traffic"} flow segment geometry`;
+  }
+
+  const path = upstreamPath(walked, incidentPoint, direction);
+  const points = uniquePoints([incidentPoint, ...samplePath(path, SAMPLE_EVERY_MILES, OPPOSITE_SAMPLE_POINTS)]);
+
+  if (flowCallsRemaining() < points.length + OPPOSITE_BUDGET_RESERVE) {
+    return skipped(heldBack);
+  }
+
+  const samples = [];
+
+  for (const point of points) {
+    try {
+      samples.push(makeSample(point, await fetchBestFlow(point, opposite), opposite));
+    } catch (e) {
+      samples.push(makeSample(point, null, opposite, e));
+    }
+  }
+
+  const summary = summarizeSamples(samples);
+
+  return {
+    direction,
+    detected:summary.started,
+    tqMiles:summary.tqMiles,
+    backlogMiles:summary.backlogMiles,
+    totalAffectedMiles:summary.totalAffectedMiles,
+    delayMinutes:summary.delayMinutes,
+    avgQueueSpeedMph:summary.avgQueueSpeedMph,
+    sampledMiles:summary.sampledMiles,
+    sampleCount:samples.length,
+    geometrySource,
+    samples
+  };
+}
+
+function sameDirection(a, b){
+  const x = String(a || "").trim().charAt(0).toUpperCase();
+  return !!x && x === String(b || "").trim().charAt(0).toUpperCase();
+}
+
+// Any other active event on the same route and direction that sits on a
+// computed queue is linked as secondaryOf that queue's event; an overpass or
+// crossing road can pass within SECONDARY_MATCH_MILES of it. Longer queues
+// claim first, and an event that is already secondary does not claim others.
+function linkSecondaryIncidents(results, candidates){
+  const located = new Map();
+
+  for (const c of candidates || []) {
+    if (c.location) located.set(String(c.eventId), { point:c.location, direction:c.direction, route:routeKey(c.sourceRoute) });
+  }
+  for (const r of results) {
+    if (r.incidentPoint) located.set(String(r.eventId), { point:r.incidentPoint, direction:r.direction, route:eventRouteKey(r) });
+  }
+
+  const byId = new Map(results.map(r => [String(r.eventId), r]));
+  const claimed = new Set();
+
+  for (const r of results) {
+    if (r.error) continue;
+    r.secondaryOf = null;
+    r.secondaryEvents = [];
+  }
+
+  const primaries = results
+    .filter(r => !r.error && Array.isArray(r.queuePath) && r.queuePath.length >= 2)
+    .sort((a, b) => (b.totalAffectedMiles || 0) - (a.totalAffectedMiles || 0));
+
+  for (const primary of primaries) {
+    const id = String(primary.eventId);
+    const route = eventRouteKey(primary);
+    if (claimed.has(id) || !route) continue;
+
+    for (const [otherId, other] of located) {
+      if (otherId === id || claimed.has(otherId)) continue;
+      if (other.route !== route || !sameDirection(primary.direction, other.direction)) continue;
+      if (pointToPathMiles(other.point, primary.queuePath) > SECONDARY_MATCH_MILES) continue;
+
+      claimed.add(otherId);
+      primary.secondaryEvents.push(otherId);
+
+      const secondary = byId.get(otherId);
+      if (secondary && !secondary.error) secondary.secondaryOf = id;
+    }
+
+    if (primary.secondaryEvents.length) claimed.add(id);
+  }
+
+  return results;
+}
+
+const PROVIDER_LABELS = { tomtom:"TomTom", here:"HERE", replay:"recorded" };
+
+function providerLabel(samples){
+  const names = [...new Set(samples.map(s => s.provider).filter(Boolean))];
+  return names.length ? names.map(n => PROVIDER_LABELS[n] || n).join("/") : "traffic";
+}
+
 async function analyzeIncident(discovered){
   const id = discovered.eventId || discovered;
-  const raw = await fetch511Incident(id);
+  const raw = await loadIncident(id);
   const incident = normalizeIncident(raw,id);
 
   const incidentPoint = {lat:incident.lat, lon:incident.lon};
@@ -808,14 +1439,14 @@ async function analyzeIncident(discovered){
   let initialBest = null;
 
   try {
-    initialBest = await fetchBestTomTomFlow(incidentPoint, incident);
+    initialBest = await fetchBestFlow(incidentPoint, incident);
   } catch {
     initialBest = null;
   }
 
   const initialFlow = initialBest?.flow || null;
 
-  const built = buildGeometry(incident, incidentPoint, initialFlow);
+  const built = buildGeometry(incident, incidentPoint, initialFlow, await loadCenterlines());
   const geometry = built.geometry;
   const geometrySource = built.geometrySource;
 
@@ -834,7 +1465,7 @@ async function analyzeIncident(discovered){
 
       const best = (isIncidentPoint && initialBest)
         ? initialBest
-        : await fetchBestTomTomFlow(point, incident);
+        : await fetchBestFlow(point, incident);
 
       samples.push(makeSample(point, best, incident));
     } catch (e) {
@@ -855,7 +1486,7 @@ async function analyzeIncident(discovered){
 
   for (const point of downstreamPoints) {
     try {
-      const best = await fetchBestTomTomFlow(point, incident);
+      const best = await fetchBestFlow(point, incident);
       downstreamSamples.push(makeSample(point, best, incident));
     } catch (e) {
       downstreamSamples.push(makeSample(point, null, incident, e));
@@ -863,6 +1494,12 @@ async function analyzeIncident(discovered){
   }
 
   const summary = summarizeSamples(samples);
+  const clearance = estimateClearance(summary, discovered.anticipatedEndAt);
+  const queuePath = summary.started
+    ? samples.slice(0, summary.queueEndIndex + 1).map(s => s.point)
+    : [];
+
+  const oppositeDirectionQueue = await sampleOppositeDirection(incident, incidentPoint, await loadCenterlines());
 
   const usable = samples.filter(s => s.state !== "unknown");
   const avgConfidence = usable.length
@@ -880,15 +1517,15 @@ async function analyzeIncident(discovered){
   let note = null;
 
   if (!usable.length && upstreamStats.badSnapCount > 0) {
-    note = "TomTom returned flow samples, but they appear to be snapped to non-mainline geometry for this route; queue not calculated.";
+    note = "The flow provider returned samples, but they appear to be snapped to non-mainline geometry for this route; queue not calculated.";
   } else if (!usable.length) {
-    note = "No usable upstream TomTom flow samples found; do not treat as a confirmed 0.00 mi queue.";
+    note = "No usable upstream flow samples found; do not treat as a confirmed 0.00 mi queue.";
   } else if (!summary.started) {
     note = "Upstream flow samples were found, but no sustained queue was detected.";
   } else if (geometrySource === "single incident point only") {
     note = "Only the incident point was available; queue distance may be undercounted.";
   } else {
-    note = "Directional upstream queue estimate using 511PA incident anchor and TomTom live flow.";
+    note = `Directional upstream queue estimate using 511PA incident anchor and ${providerLabel(samples)} live flow.`;
   }
 
   return {
@@ -910,6 +1547,16 @@ async function analyzeIncident(discovered){
     totalAffectedMiles:summary.totalAffectedMiles,
     sampledMiles:summary.sampledMiles,
 
+    delayMinutes:summary.delayMinutes,
+    avgQueueSpeedMph:summary.avgQueueSpeedMph,
+    anticipatedEndTime:discovered.anticipatedEndTime || null,
+    anticipatedEndAt:discovered.anticipatedEndAt || null,
+    clearanceMinutes:clearance.clearanceMinutes,
+    estimatedClearAt:clearance.estimatedClearAt,
+    queuePath,
+
+    oppositeDirection:oppositeDirectionQueue,
+
     sampleCount:samples.length,
     geometrySource,
     geometryMiles:Number(pathLengthMiles(geometry).toFixed(2)),
@@ -925,59 +1572,415 @@ async function analyzeIncident(discovered){
 
     confidence,
     note,
-    source:`511PA event anchor + directional upstream TomTom live traffic flow with mainline probe scoring; geometry source: ${geometrySource}`,
+    source:`511PA event anchor + directional upstream ${providerLabel(samples)} live traffic flow with mainline probe scoring; geometry source: ${geometrySource}`,
     updated:nowIso(),
     samples
   };
 }
 
+function historyPoint(result){
+  return {
+    at:result.updated,
+    tq:result.tqMiles,
+    backlog:result.backlogMiles,
+    total:result.totalAffectedMiles,
+    delay:result.delayMinutes,
+    confidence:result.confidence
+  };
+}
+
+// Least-squares slope of total affected miles over the trailing window, so a
+// single noisy run does not flip the trend.
+function queueTrend(history){
+  const points = (history || []).filter(p => Number.isFinite(Date.parse(p.at)) && Number.isFinite(Number(p.total)));
+  if (points.length < 2) return { trend:null, growthMph:null };
+
+  const lastMs = Date.parse(points[points.length - 1].at);
+  const windowed = points.filter(p => lastMs - Date.parse(p.at) <= TREND_WINDOW_MINUTES * 60000);
+
+  const xs = windowed.map(p => (Date.parse(p.at) - lastMs) / 3600000);
+  const ys = windowed.map(p => Number(p.total));
+
+  if (windowed.length < 2 || (xs[xs.length - 1] - xs[0]) * 60 < TREND_MIN_SPAN_MINUTES) {
+    return { trend:null, growthMph:null };
+  }
+
+  const meanX = xs.reduce((a,b)=>a+b,0) / xs.length;
+  const meanY = ys.reduce((a,b)=>a+b,0) / ys.length;
+
+  let num = 0, den = 0;
+  for (let i=0; i<xs.length; i++) {
+    num += (xs[i] - meanX) * (ys[i] - meanY);
+    den += (xs[i] - meanX) ** 2;
+  }
+
+  const slope = den > 0 ? num / den : 0;
+
+  let trend = "stable";
+  if (slope >= TREND_STABLE_MPH) trend = "growing";
+  else if (slope <= -TREND_STABLE_MPH) trend = "shrinking";
+
+  return { trend, growthMph:Number(slope.toFixed(2)) };
+}
+
+function peakOf(history){
+  let peak = null;
+
+  for (const p of history || []) {
+    if (!Number.isFinite(Number(p.total))) continue;
+    if (!peak || Number(p.total) > peak.total) peak = { total:Number(p.total), tq:p.tq, at:p.at };
+  }
+
+  return peak;
+}
+
+// Appends this run to the event's series from the previous tq_live.json and
+// derives trend, growth rate and peak from it. Failed runs keep the old series.
+function applyQueueHistory(result, prevEvent){
+  const history = Array.isArray(prevEvent?.history) ? [...prevEvent.history] : [];
+
+  if (!result.error) history.push(historyPoint(result));
+
+  const trimmed = history.slice(-HISTORY_MAX_POINTS);
+  const { trend, growthMph } = queueTrend(trimmed);
+  const peak = peakOf(trimmed);
+
+  return {
+    ...result,
+    trend,
+    growthMph,
+    peakMiles:peak ? peak.total : null,
+    peakTqMiles:peak ? peak.tq : null,
+    peakAt:peak ? peak.at : null,
+    firstSeen:prevEvent?.firstSeen || trimmed[0]?.at || result.updated,
+    history:trimmed
+  };
+}
+
+const QUEUE_LINE_STATES = new Set(["stopped", "severe", "slow", "moderate"]);
+
+// The segment into sample i carries sample i's state, as in summarizeSamples.
+// Each run of one state becomes a line from the sample before it to its last
+// sample, so neighbouring runs share an endpoint and draw as one tail.
+function queueLineFeatures(result){
+  const samples = (result.samples || []).slice(0, (result.queuePath || []).length);
+  const features = [];
+
+  let run = null;
+
+  const flush = () => {
+    if (!run) return;
+
+    const coords = run.points.map(p => [p.lon, p.lat]);
+    features.push({
+      type:"Feature",
+      id:`${result.eventId}:queue:${features.length}`,
+      geometry:{ type:"LineString", coordinates:coords },
+      properties:{
+        eventId:result.eventId,
+        route:result.route,
+        direction:result.direction,
+        state:run.state,
+        miles:Number(pathLengthMiles(run.points).toFixed(2)),
+        confidence:result.confidence,
+        secondaryOf:result.secondaryOf ?? null,
+        updated:result.updated
+      }
+    });
+    run = null;
+  };
+
+  for (let i = 1; i < samples.length; i++) {
+    const state = samples[i].state;
+
+    if (!QUEUE_LINE_STATES.has(state)) {
+      flush();
+      continue;
+    }
+
+    if (run && run.state !== state) flush();
+    if (!run) run = { state, points:[samples[i - 1].point] };
+
+    run.points.push(samples[i].point);
+  }
+
+  flush();
+
+  return features;
+}
+
+function buildTqGeoJson(results, generatedAt = nowIso()){
+  return {
+    type:"FeatureCollection",
+    name:"tq_live",
+    generated_at:generatedAt,
+    features:results.filter(r => !r.error).flatMap(queueLineFeatures)
+  };
+}
+
 async function ensureDir(file){
   await fs.mkdir(path.dirname(file), {recursive:true});
 }
 
-async function main(){
-  const discovered = await discoverEventIds();
+function resetRunState(){
+  flowCache.clear();
+  segmentCache.length = 0;
+  Object.assign(flowUsage, { day:null, budgetFile:null, providers:{}, cacheHits:0, segmentHits:0, skippedForBudget:0 });
+  centerlines = null;
+  recording.incidents.clear();
+  recording.flows = [];
+}
 
-  if (!discovered.length) {
-    console.log("No active TQ candidate event IDs found.");
-  } else {
-    console.log(`Discovered ${discovered.length} TQ candidate event(s): ${discovered.map(x=>x.eventId).join(", ")}`);
+// Starts a fresh run against the given providers, as replayRecording does
+// with the replay provider.
+function useFlowProviders(providers){
+  fixture = null;
+  resetRunState();
+  flowProviders = providers;
+}
+
+function estimateOf(result){
+  if (result.error) return { eventId:result.eventId, error:result.error };
+
+  return {
+    eventId:result.eventId,
+    tqMiles:result.tqMiles,
+    backlogMiles:result.backlogMiles,
+    totalAffectedMiles:result.totalAffectedMiles,
+    delayMinutes:result.delayMinutes,
+    confidence:result.confidence,
+    oppositeTotalMiles:result.oppositeDirection?.totalAffectedMiles ?? null,
+    secondaryOf:result.secondaryOf ?? null,
+    secondaryEvents:result.secondaryEvents || []
+  };
+}
+
+async function writeRecording(candidates, discovered, results){
+  const recordedAt = nowIso();
+
+  for (const [id, raw] of recording.incidents) {
+    await writeJson(fixturePath("incidents", `${id}.json`), raw);
   }
 
+  await writeJson(fixturePath("events.json"), {
+    recorded_at:recordedAt,
+    events:discovered.map(ev => String(ev.eventId)),
+    candidates
+  });
+
+  await writeJson(fixturePath("flows.json"), {
+    recorded_at:recordedAt,
+    providers:flowProviders.map(p => p.name),
+    flows:recording.flows
+  });
+
+  const lines = await loadCenterlines();
+  const routes = {};
+  for (const r of results) {
+    const key = eventRouteKey(r);
+    if (key && lines[key]) routes[key] = lines[key];
+  }
+  await writeJson(fixturePath("centerlines.json"), { source:CENTERLINE_FILE, routes });
+
+  await writeJson(fixturePath("estimated.json"), {
+    recorded_at:recordedAt,
+    events:results.map(estimateOf)
+  });
+
+  console.log(`Recorded ${recording.incidents.size} incident(s) and ${recording.flows.length} flow response(s) to ${fixture.dir}`);
+  console.log("Add expected.json with independently observed queue lengths before using it as a test fixture.");
+}
+
+// Runs a recorded fixture through the current thresholds with no network
+// access. Probes the recording did not make get the nearest recorded flow
+// within TQ_REPLAY_MATCH_MILES, or none.
+async function replayRecording(dir){
+  fixture = { mode:"replay", dir };
+  resetRunState();
+  flowProviders = [createReplayProvider({ file:fixturePath("flows.json") })];
+
+  const recorded = await readJsonIfExists(fixturePath("events.json"));
+  if (!recorded) throw new Error(`No events.json in ${dir}.`);
+
+  const candidates = Array.isArray(recorded.candidates) ? recorded.candidates : [];
+  const byId = new Map(candidates.map(c => [String(c.eventId), c]));
+
   const results = [];
 
+  for (const id of recorded.events || []) {
+    const ev = byId.get(String(id)) || { eventId:String(id) };
+
+    try {
+      results.push(await analyzeIncident(ev));
+    } catch (e) {
+      results.push({
+        eventId:String(id),
+        sourceFile:ev.source || null,
+        error:String(e?.message || e),
+        updated:nowIso()
+      });
+    }
+  }
+
+  return linkSecondaryIncidents(results, candidates);
+}
+
+async function replayMain(){
+  const results = await replayRecording(fixture.dir);
+  const expected = await readJsonIfExists(fixturePath("expected.json"));
+  const expectedById = new Map((expected?.events || []).map(e => [String(e.eventId), e]));
+
+  for (const r of results) {
+    const was = expectedById.get(String(r.eventId));
+
+    if (r.error) {
+      console.error(`ERR ${r.eventId}: ${r.error}`);
+      continue;
+    }
+
+    const expectedText = was && !was.error
+      ? ` (expected TQ ${was.tqMiles} mi, total ${was.totalAffectedMiles} mi, ±${expected.toleranceMiles} mi)`
+      : "";
+    console.log(`REPLAY ${r.eventId}: TQ ${r.tqMiles} mi, total ${r.totalAffectedMiles} mi, confidence ${r.confidence}${expectedText}`);
+  }
+}
+
+async function analyzeDiscovered(discovered, prevById, results){
   for (const ev of discovered) {
+    if (!activeFlowProvider()) {
+      const eventId = String(ev.eventId || ev);
+      flowUsage.skippedForBudget++;
+
+      results.push(applyQueueHistory({
+        eventId,
+        sourceFile:ev.source || null,
+        error:"Skipped: traffic flow call budget exhausted.",
+        updated:nowIso()
+      }, prevById.get(eventId)));
+
+      console.warn(`SKIP ${eventId}: traffic flow call budget exhausted.`);
+      continue;
+    }
+
     try {
-      const result = await analyzeIncident(ev);
+      const analyzed = await analyzeIncident(ev);
+      const result = applyQueueHistory(analyzed, prevById.get(String(analyzed.eventId)));
       results.push(result);
 
-      console.log(`OK ${result.eventId}: TQ ${result.tqMiles} mi, backlog ${result.backlogMiles} mi, confidence ${result.confidence}`);
+      const trendText = result.trend ? `, ${result.trend} ${result.growthMph} mi/hr` : "";
+      console.log(`OK ${result.eventId}: TQ ${result.tqMiles} mi, backlog ${result.backlogMiles} mi, delay ${result.delayMinutes} min, confidence ${result.confidence}${trendText}`);
     } catch(e) {
-      results.push({
-        eventId:String(ev.eventId || ev),
+      const eventId = String(ev.eventId || ev);
+
+      results.push(applyQueueHistory({
+        eventId,
         sourceFile:ev.source || null,
         error:String(e?.message || e),
         updated:nowIso()
-      });
+      }, prevById.get(eventId)));
 
       console.error(`ERR ${ev.eventId || ev}:`, e?.message || e);
     }
   }
+}
+
+async function main(){
+  fixture = parseFixtureArgs(process.argv.slice(2));
+  if (fixture?.mode === "replay") return replayMain();
+
+  flowProviders = createFlowProviders();
+
+  if (!flowProviders.some(p => p.available)) {
+    throw new Error("No traffic flow provider is available. Set TOMTOM_KEY or HERE_API_KEY, or use TQ_FLOW_PROVIDERS=replay.");
+  }
+
+  const candidates = await discoverEventIds();
+  const discovered = candidates.slice(0, MAX_EVENTS);
+
+  if (!discovered.length) {
+    console.log("No active TQ candidate event IDs found.");
+  } else {
+    console.log(`Discovered ${discovered.length} TQ candidate event(s): ${discovered.map(x=>x.eventId).join(", ")}`);
+  }
+
+  const previous = await readJsonIfExists(OUT_FILE);
+  const prevById = new Map(
+    (Array.isArray(previous?.events) ? previous.events : []).map(e => [String(e.eventId), e])
+  );
+
+  await loadFlowBudget();
+
+  const results = [];
+
+  try {
+    await analyzeDiscovered(discovered, prevById, results);
+  } finally {
+    await saveFlowBudget();
+  }
+
+  linkSecondaryIncidents(results, candidates);
+
+  const linked = results.filter(r => r.secondaryOf);
+  if (linked.length) {
+    console.log(`Secondary incidents: ${linked.map(r => `${r.eventId} in queue of ${r.secondaryOf}`).join(", ")}`);
+  }
+
+  const usage = flowUsageSummary();
+  for (const p of usage.providers.filter(p => p.metered)) {
+    console.log(`${p.name} calls: ${p.runCalls} this run, ${p.dayCalls}/${p.dailyBudget} today`);
+  }
+  console.log(`${usage.cacheHits + usage.segmentHits} flow lookups served from cache`);
+
+  // Without centerlines every walk uses its fallback geometry; say so in the
+  // output rather than only in the run log.
+  const centerlineRoutes = Object.keys(await loadCenterlines()).length;
 
   const output = {
     name:"tq_live",
     fetched_at:nowIso(),
     count:results.length,
+    flowUsage:usage,
+    centerlines:{ file:CENTERLINE_FILE, routes:centerlineRoutes },
     events:results
   };
 
-  await ensureDir(OUT_FILE);
-  await fs.writeFile(OUT_FILE, JSON.stringify(output,null,2) + "\n", "utf8");
+  await writeJson(OUT_FILE, output);
+  await writeJson(GEOJSON_FILE, buildTqGeoJson(results, output.fetched_at));
 
-  console.log(`Wrote ${OUT_FILE}`);
+  console.log(`Wrote ${OUT_FILE} and ${GEOJSON_FILE}`);
+
+  if (fixture?.mode === "record") await writeRecording(candidates, discovered, results);
 }
 
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
\ No newline at end of file
+export {
+  compareDiscovered,
+  fetch511Incident,
+  normalizeIncident,
+  decodePolyline,
+  upstreamPath,
+  scoreFlow,
+  centerlineGeometry,
+  summarizeSamples,
+  confidenceFromValidation,
+  estimateClearance,
+  linkSecondaryIncidents,
+  sampleOppositeDirection,
+  queueTrend,
+  applyQueueHistory,
+  buildTqGeoJson,
+  analyzeIncident,
+  parseFixtureArgs,
+  replayRecording,
+  useFlowProviders,
+  loadFlowBudget,
+  saveFlowBudget,
+  fetchFlow,
+  flowUsageSummary
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
\ No newline at end of file
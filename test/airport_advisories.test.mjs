@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  advisoryGeometry,
+  normalizeAirSigmet,
+  normalizeGAirmet,
+  milesToLine,
+  currentGAirmets,
+  advisoriesCovering
+} from "../scripts/airport_advisories.mjs";
+
+const KPIT = { icao:"KPIT", lat:40.4915, lon:-80.2329 };
+const NOW = Date.parse("2026-10-19T16:30:00Z");
+
+// A west-east line 0.2 degrees (about 13.8 miles) north of KPIT.
+const LINE = [{ lat:40.6915, lon:-81.2 }, { lat:40.6915, lon:-79.2 }];
+
+function sigmet(raw, coords = LINE){
+  return normalizeAirSigmet({
+    airSigmetType:"SIGMET", hazard:"CONVECTIVE", seriesId:"12E",
+    validTimeFrom:"2026-10-19T15:55:00Z", validTimeTo:"2026-10-19T17:55:00Z",
+    rawAirSigmet:raw, coords
+  });
+}
+
+function gairmet(validTime, tag){
+  return normalizeGAirmet({
+    tag, hazard:"IFR", validTime, geometryType:"AREA",
+    coords:[{ lat:40, lon:-81 }, { lat:41, lon:-81 }, { lat:41, lon:-79.5 }, { lat:40, lon:-79.5 }]
+  });
+}
+
+test("milesToLine measures to the nearest point of any segment", () => {
+  const line = advisoryGeometry(LINE, "LINE").coordinates;
+  assert.ok(Math.abs(milesToLine([KPIT.lon, KPIT.lat], line) - 13.82) < 0.05);
+
+  // Beyond the east end the distance is to the end point.
+  const past = milesToLine([-79.0, 40.6915], line);
+  assert.ok(Math.abs(past - 10.47) < 0.05);
+});
+
+test("advisoriesCovering links line advisories within their stated width", () => {
+  const wide = sigmet("CONVECTIVE SIGMET 12E LINE 40NM WIDE MOV FROM 27025KT");
+  const narrow = sigmet("CONVECTIVE SIGMET 12E LINE 20NM WIDE MOV FROM 27025KT");
+  const unstated = sigmet("CONVECTIVE SIGMET 12E LINE TS MOV FROM 27025KT");
+
+  assert.equal(wide.geometry.type, "LineString");
+  assert.deepEqual(advisoriesCovering(KPIT, [wide], NOW), [wide.id]);
+  assert.deepEqual(advisoriesCovering(KPIT, [narrow], NOW), []);
+  assert.deepEqual(advisoriesCovering(KPIT, [unstated], NOW), []);
+
+  const close = sigmet("CONVECTIVE SIGMET 12E LINE TS", [{ lat:40.5915, lon:-81.2 }, { lat:40.5915, lon:-79.2 }]);
+  assert.deepEqual(advisoriesCovering(KPIT, [close], NOW), [close.id]);
+});
+
+test("currentGAirmets keeps only the snapshot in effect, else the nearest", () => {
+  const items = [
+    gairmet("2026-10-19T15:00:00Z", "1W"),
+    gairmet("2026-10-19T18:00:00Z", "1W"),
+    gairmet("2026-10-19T21:00:00Z", "1W"),
+    sigmet("CONVECTIVE SIGMET 12E LINE TS")
+  ];
+
+  assert.deepEqual(
+    currentGAirmets(items, NOW).map(a => [a.source, a.validFrom]),
+    [["G-AIRMET", "2026-10-19T15:00:00.000Z"], ["CONVECTIVE SIGMET", "2026-10-19T15:55:00.000Z"]]
+  );
+
+  const early = Date.parse("2026-10-19T14:00:00Z");
+  assert.deepEqual(
+    currentGAirmets(items, early).filter(a => a.source === "G-AIRMET").map(a => a.validFrom),
+    ["2026-10-19T15:00:00.000Z"]
+  );
+
+  assert.deepEqual(advisoriesCovering(KPIT, currentGAirmets(items, NOW), NOW).filter(id => id.startsWith("G-AIRMET")), [items[0].id]);
+});
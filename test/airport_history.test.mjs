@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  HISTORY_GAP_MINUTES,
+  appendHistory,
+  sinceFor,
+  dailySummaries
+} from "../scripts/airport_history.mjs";
+
+const VALUE = { status:"OK", delay:"—", cat:"VFR", flow:null };
+
+test("appendHistory rides out a delayed scheduled run but not a real outage", () => {
+  const t0 = Date.parse("2026-10-19T12:00:00Z");
+  const first = appendHistory([], VALUE, t0);
+
+  const late = appendHistory(first, VALUE, t0 + 55 * 60000);
+  assert.equal(late.length, 1);
+  assert.equal(late[0].to, "2026-10-19T12:55:00.000Z");
+
+  const changed = appendHistory(late, { ...VALUE, cat:"IFR" }, t0 + 120 * 60000);
+  assert.deepEqual(changed.map(e => [e.from, e.cat]), [
+    ["2026-10-19T12:00:00.000Z", "VFR"],
+    ["2026-10-19T12:55:00.000Z", "IFR"]
+  ]);
+
+  const outage = appendHistory(late, VALUE, t0 + (55 + HISTORY_GAP_MINUTES + 1) * 60000);
+  assert.equal(outage.length, 2);
+  assert.equal(outage[1].from, outage[1].to);
+  assert.equal(sinceFor(outage, "cat"), outage[1].from);
+});
+
+test("dailySummaries splits hours and peak delay across Eastern midnight", () => {
+  const days = dailySummaries([
+    { from:"2026-10-19T22:00:00Z", to:"2026-10-20T02:00:00Z", status:"OK", delay:"—", cat:"VFR", flow:null },
+    // 22:00 to 02:00 EDT
+    { from:"2026-10-20T02:00:00Z", to:"2026-10-20T06:00:00Z", status:"Ground Delay", delay:"45", cat:"IFR", flow:null }
+  ]);
+
+  assert.deepEqual(Object.keys(days), ["2026-10-19", "2026-10-20"]);
+
+  assert.deepEqual(days["2026-10-19"].hoursByCat, { VFR:4, IFR:2 });
+  assert.deepEqual(days["2026-10-19"].programHours, { "Ground Delay":2 });
+  assert.deepEqual(days["2026-10-19"].peakDelay, { minutes:45, at:"2026-10-20T02:00:00.000Z", status:"Ground Delay" });
+
+  assert.deepEqual(days["2026-10-20"].hoursByCat, { IFR:2 });
+  assert.deepEqual(days["2026-10-20"].peakDelay, { minutes:45, at:"2026-10-20T04:00:00.000Z", status:"Ground Delay" });
+});
@@ -0,0 +1,131 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  decodeMetar,
+  decodeWxToken,
+  windComponents,
+  runwayWinds,
+  crosswindAlert
+} from "../scripts/metar_decode.mjs";
+
+const PIT_RUNWAYS = [
+  { id:"10L/28R", headings:[100, 280] },
+  { id:"14/32", headings:[140, 320] }
+];
+
+test("decodeMetar reads wind, visibility, ceiling, weather and temperatures", () => {
+  const m = decodeMetar("KPIT 191651Z 25022G31KT 1 1/2SM -RA BR FEW008 BKN014 OVC025 M02/M05 A2992 RMK AO2 PK WND 26035/1630 SLP140");
+
+  assert.deepEqual(m.wind, {
+    dirDeg:250, variable:false, varyFromDeg:null, varyToDeg:null,
+    speedKt:22, gustKt:31, calm:false, text:"250 22G31"
+  });
+  assert.equal(m.visibilitySM, 1.5);
+  assert.equal(m.visibilityText, "1.5 SM");
+  assert.equal(m.ceilingFt, 1400);
+  assert.deepEqual(m.clouds.map(c => c.cover), ["FEW", "BKN", "OVC"]);
+  assert.deepEqual(m.weather, ["Light rain", "Mist"]);
+  assert.equal(m.weatherText, "Light rain, Mist");
+  assert.equal(m.tempC, -2);
+  assert.equal(m.dewpointC, -5);
+  assert.equal(m.tempF, 28);
+  assert.equal(m.dewpointF, 23);
+});
+
+test("decodeMetar handles calm, variable and bounded visibility", () => {
+  const calm = decodeMetar("KIPT 190954Z AUTO 00000KT M1/4SM FG VV002 08/08 A3001 RMK AO2");
+  assert.equal(calm.wind.calm, true);
+  assert.equal(calm.wind.text, "Calm");
+  assert.equal(calm.visibilitySM, 0.25);
+  assert.equal(calm.visibilityText, "<1/4 SM");
+  assert.equal(calm.ceilingFt, 200);
+  assert.deepEqual(calm.weather, ["Fog"]);
+
+  const vrb = decodeMetar("KMDT 191856Z VRB04KT P6SM VCSH SCT050CB 22/ A2990");
+  assert.equal(vrb.wind.variable, true);
+  assert.equal(vrb.wind.dirDeg, null);
+  assert.equal(vrb.wind.text, "VRB 4");
+  assert.equal(vrb.visibilityText, ">6 SM");
+  assert.equal(vrb.ceilingFt, null);
+  assert.deepEqual(vrb.weather, ["Nearby showers"]);
+  assert.equal(vrb.tempC, 22);
+  assert.equal(vrb.dewpointC, null);
+
+  const varying = decodeMetar("KERI 191851Z 28012KT 250V310 10SM CLR 15/03 A2985");
+  assert.equal(varying.wind.varyFromDeg, 250);
+  assert.equal(varying.wind.varyToDeg, 310);
+  assert.equal(varying.weather.length, 0);
+  assert.equal(varying.weatherText, null);
+
+  assert.equal(decodeMetar("—"), null);
+  assert.equal(decodeMetar(""), null);
+});
+
+test("decodeMetar ignores trend groups after the observation", () => {
+  const m = decodeMetar("KABE 191851Z 18008KT 10SM SCT040 20/12 A2995 TEMPO 1SM +TSRA OVC010CB");
+  assert.equal(m.visibilitySM, 10);
+  assert.equal(m.ceilingFt, null);
+  assert.deepEqual(m.weather, []);
+});
+
+test("decodeWxToken describes intensity, descriptors and phenomena", () => {
+  assert.equal(decodeWxToken("+TSRA"), "Heavy thunderstorms with rain");
+  assert.equal(decodeWxToken("FZDZ"), "Freezing drizzle");
+  assert.equal(decodeWxToken("-SHSN"), "Light snow showers");
+  assert.equal(decodeWxToken("KPIT"), null);
+  assert.equal(decodeWxToken("AUTO"), null);
+});
+
+test("windComponents splits wind into headwind and crosswind", () => {
+  const wind = decodeMetar("KPIT 191651Z 25022G31KT 10SM CLR 10/00 A2992").wind;
+
+  assert.deepEqual(windComponents(wind, 280), { headwindKt:19, crosswindKt:11, gustCrosswindKt:15, fromSide:"left" });
+  assert.deepEqual(windComponents(wind, 100), { headwindKt:-19, crosswindKt:11, gustCrosswindKt:15, fromSide:"right" });
+  assert.deepEqual(windComponents({ ...wind, dirDeg:280 }, 280), { headwindKt:22, crosswindKt:0, gustCrosswindKt:0, fromSide:null });
+  assert.equal(windComponents({ ...wind, variable:true, dirDeg:null }, 280), null);
+});
+
+test("runwayWinds lists every runway end from registry headings", () => {
+  const wind = decodeMetar("KPIT 191651Z 19022G31KT 10SM CLR 10/00 A2992").wind;
+  const ends = runwayWinds(wind, PIT_RUNWAYS);
+
+  assert.deepEqual(ends.map(e => e.runway), ["10L", "28R", "14", "32"]);
+  assert.deepEqual(ends.find(e => e.runway === "28R"), {
+    runway:"28R", headingDeg:280, headwindKt:0, crosswindKt:22, gustCrosswindKt:31, fromSide:"left"
+  });
+  assert.deepEqual(runwayWinds(null, PIT_RUNWAYS), []);
+});
+
+test("crosswindAlert flags only when the best runway still has a strong crosswind", () => {
+  const strong = runwayWinds(decodeMetar("KPIT 191651Z 19022G31KT 10SM CLR 10/00 A2992").wind, [PIT_RUNWAYS[0]]);
+  assert.deepEqual(crosswindAlert(strong), {
+    runway:"10L", crosswindKt:22, gustCrosswindKt:31, text:"crosswind 22G31 on 10L"
+  });
+
+  const aligned = runwayWinds(decodeMetar("KPIT 191651Z 15022G31KT 10SM CLR 10/00 A2992").wind, PIT_RUNWAYS);
+  assert.equal(crosswindAlert(aligned), null);
+
+  const light = runwayWinds(decodeMetar("KPIT 191651Z 19008KT 10SM CLR 10/00 A2992").wind, [PIT_RUNWAYS[0]]);
+  assert.equal(crosswindAlert(light), null);
+});
+
+test("runwayWinds turns magnetic headings true before the crosswind check", () => {
+  // KABE's runway 10/28 with 12 degrees west variation: a 310 true wind is 30
+  // degrees off the magnetic heading but 42 off the true one.
+  const wind = decodeMetar("KABE 191651Z 31024KT 10SM CLR 10/00 A2992").wind;
+  const runways = [{ id:"10/28", headings:[100, 280] }];
+
+  const uncorrected = runwayWinds(wind, runways);
+  assert.equal(uncorrected.find(e => e.runway === "28").crosswindKt, 12);
+  assert.equal(crosswindAlert(uncorrected), null);
+
+  const corrected = runwayWinds(wind, runways, -12);
+  assert.deepEqual(corrected.find(e => e.runway === "28"), {
+    runway:"28", headingDeg:268, headwindKt:18, crosswindKt:16, gustCrosswindKt:null, fromSide:"right"
+  });
+  assert.equal(corrected.find(e => e.runway === "10").headingDeg, 88);
+  assert.equal(crosswindAlert(corrected).text, "crosswind 16 on 28");
+
+  assert.equal(runwayWinds(wind, [{ id:"01/19", headings:[10, 190] }], -12)[0].headingDeg, 358);
+});
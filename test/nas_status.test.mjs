@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { nasTime, delayMinutes, parseNasXml } from "../scripts/nas_status.mjs";
+
+const AIRPORTS = [
+  { icao:"KPHL", iata:"PHL" },
+  { icao:"KPIT", iata:"PIT" },
+  { icao:"KLNS", iata:"LNS" }
+];
+
+// Updated 23:40 EDT on 19 October, so "1:15 am EDT" is the next morning.
+const NAS_XML = `<AIRPORT_STATUS_INFORMATION>
+  <Update_Time>Tue Oct 20 03:40:00 2026 GMT</Update_Time>
+  <Delay_type>
+    <Name>Ground Stop Programs</Name>
+    <Ground_Stop_List>
+      <Program><ARPT>PIT</ARPT><Reason>thunderstorms</Reason><End_Time>1:15 am EDT.</End_Time></Program>
+    </Ground_Stop_List>
+  </Delay_type>
+  <Delay_type>
+    <Name>Airport Closures</Name>
+    <Airport_Closure_List>
+      <Airport><ARPT>LNS</ARPT><Reason>!LNS 10/021 LNS AD AP CLSD</Reason><Start>Oct 19 at 22:00 UTC.</Start><Reopen>Oct 20 at 1000 UTC.</Reopen></Airport>
+    </Airport_Closure_List>
+  </Delay_type>
+  <Delay_type>
+    <Name>Ground Delay Programs</Name>
+    <Ground_Delay_List>
+      <Ground_Delay><ARPT>PHL</ARPT><Reason>wind</Reason><Avg>45 minutes</Avg><Max>1 hour and 10 minutes</Max></Ground_Delay>
+    </Ground_Delay_List>
+  </Delay_type>
+</AIRPORT_STATUS_INFORMATION>`;
+
+test("nasTime resolves NAS program times against the update time", () => {
+  const ref = Date.parse("2026-10-20T03:40:00Z");
+
+  assert.equal(nasTime("1:15 am EDT", ref), "2026-10-20T05:15:00.000Z");
+  assert.equal(nasTime("11:30 pm EDT", ref), "2026-10-20T03:30:00.000Z");
+  assert.equal(nasTime("12:00 PM EST", ref), "2026-10-19T17:00:00.000Z");
+  assert.equal(nasTime("2215Z", ref), "2026-10-19T22:15:00.000Z");
+  assert.equal(nasTime("Oct 20 at 1000 UTC", ref), "2026-10-20T10:00:00.000Z");
+  assert.equal(nasTime("Wed Oct 21 12:00:00 2026 GMT", ref), "2026-10-21T12:00:00.000Z");
+
+  // A dated time without a year takes the nearest year.
+  assert.equal(nasTime("Jan 02 at 0600 UTC", Date.parse("2026-12-30T12:00:00Z")), "2027-01-02T06:00:00.000Z");
+
+  assert.equal(nasTime("until further notice", ref), null);
+  assert.equal(nasTime("1:15 am", ref), null);
+  assert.equal(nasTime(null, ref), null);
+});
+
+test("delayMinutes reads hours and minutes", () => {
+  assert.equal(delayMinutes("1 hour and 3 minutes"), 63);
+  assert.equal(delayMinutes("45 minutes"), 45);
+  assert.equal(delayMinutes("2 hrs"), 120);
+  assert.equal(delayMinutes(""), null);
+});
+
+test("parseNasXml maps programs to registry airports with ISO times", () => {
+  const nas = parseNasXml(NAS_XML, AIRPORTS);
+
+  assert.equal(nas.updatedAt, "2026-10-20T03:40:00.000Z");
+
+  const stop = nas.airports.KPIT.programs[0];
+  assert.equal(nas.airports.KPIT.status, "Ground Stop");
+  assert.equal(stop.start, null);
+  assert.equal(stop.end, "2026-10-20T05:15:00.000Z");
+  assert.equal(stop.endText, "1:15 am EDT");
+
+  const closure = nas.airports.KLNS.programs[0];
+  assert.equal(nas.airports.KLNS.status, "Closed");
+  assert.equal(closure.start, "2026-10-19T22:00:00.000Z");
+  assert.equal(closure.end, "2026-10-20T10:00:00.000Z");
+
+  assert.equal(nas.airports.KPHL.status, "Ground Delay");
+  assert.equal(nas.airports.KPHL.delay, "45");
+  assert.equal(nas.airports.KPHL.programs[0].maxDelay, 70);
+});
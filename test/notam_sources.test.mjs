@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+
+import {
+  createNotamSource,
+  createReplayNotamSource,
+  normalizeNotam,
+  classifyNotam,
+  summarizeNotams
+} from "../scripts/notam_sources.mjs";
+
+const FIXTURE = fileURLToPath(new URL("./fixtures/notams_sample.json", import.meta.url));
+
+async function replayed(icao){
+  const source = createReplayNotamSource({ file:FIXTURE });
+  const items = await source.fetchNotams(icao);
+  return { source, notams:items.map(normalizeNotam).filter(Boolean) };
+}
+
+test("classifyNotam keys on the leading keyword", () => {
+  assert.deepEqual(classifyNotam("RWY 06/24 CLSD"), { category:"runway", runway:"06/24", navaid:null });
+  assert.deepEqual(classifyNotam("AD AP CLSD EXC PPR"), { category:"airport", runway:null, navaid:null });
+  assert.equal(classifyNotam("TWY C BTN RWY 13/31 AND TWY A CLSD").category, "taxiway");
+  assert.deepEqual(classifyNotam("NAV ILS RWY 06 U/S"), { category:"navaid", runway:null, navaid:"ILS RWY 06" });
+  assert.equal(classifyNotam("NAV RWY 28C ILS GP OTS").navaid, "RWY 28C ILS GP");
+  assert.equal(classifyNotam("RWY 06 REIL U/S"), null);
+  assert.equal(classifyNotam("OBST CRANE 480FT FLAGGED AND LGTD"), null);
+  assert.equal(classifyNotam("APRON TERMINAL RAMP GATE A4 CLSD"), null);
+});
+
+test("normalizeNotam keeps aerodrome items with their effective window", async () => {
+  const { notams } = await replayed("KABE");
+
+  assert.deepEqual(notams.map(n => n.category), ["runway", "taxiway"]);
+  assert.deepEqual(notams[0], {
+    id:"NOTAM_1_74120331",
+    number:"10/012",
+    category:"runway",
+    runway:"06/24",
+    navaid:null,
+    text:"RWY 06/24 CLSD",
+    effectiveStart:"2026-10-14T12:00:00.000Z",
+    effectiveEnd:"2026-10-14T20:00:00.000Z",
+    estimatedEnd:false,
+    permanent:false
+  });
+  assert.equal(notams[1].estimatedEnd, true);
+  assert.equal(notams[1].effectiveEnd, "2026-10-20T21:00:00.000Z");
+
+  const pit = (await replayed("KPIT")).notams;
+  assert.equal(pit.find(n => n.category === "navaid").permanent, true);
+  assert.equal(pit.find(n => n.category === "navaid").effectiveEnd, null);
+});
+
+test("normalizeNotam falls back to the translated text", () => {
+  const item = {
+    properties:{ coreNOTAMData:{
+      notam:{ id:"N1", number:"10/020", effectiveStart:"2026-10-14T12:00:00.000Z", effectiveEnd:"2026-10-14T13:00:00.000Z" },
+      notamTranslation:[{ type:"LOCAL_FORMAT", simpleText:"!AVP 10/020 AVP RWY 4/22 CLSD 2610141200-2610141300" }]
+    } }
+  };
+
+  assert.equal(normalizeNotam(item).runway, "4/22");
+  assert.equal(normalizeNotam({}), null);
+});
+
+test("summarizeNotams flags only runway closures in effect at the recording time", async () => {
+  const abe = await replayed("KABE");
+  const asOf = Date.parse(abe.source.asOf);
+
+  assert.deepEqual(summarizeNotams(abe.notams, asOf), {
+    runwayClosed:true, airportClosed:false, closedRunways:["06/24"], navaidOutages:[]
+  });
+
+  const eri = await replayed("KERI");
+  assert.deepEqual(summarizeNotams(eri.notams, asOf), {
+    runwayClosed:false, airportClosed:false, closedRunways:[], navaidOutages:["ILS RWY 06"]
+  });
+  assert.deepEqual(summarizeNotams(eri.notams, Date.parse("2026-10-15T13:00:00Z")).closedRunways, ["02/20"]);
+
+  const pit = await replayed("KPIT");
+  assert.equal(summarizeNotams(pit.notams, asOf).runwayClosed, false);
+
+  const lns = await replayed("KLNS");
+  assert.equal(summarizeNotams(lns.notams, asOf).airportClosed, true);
+  assert.equal(summarizeNotams(lns.notams, asOf).runwayClosed, true);
+
+  assert.deepEqual((await replayed("KMDT")).notams, []);
+  assert.deepEqual((await replayed("KXXX")).notams, []);
+});
+
+test("createNotamSource picks the configured source", (t) => {
+  const saved = process.env.NOTAM_REPLAY_FILE;
+  t.after(() => {
+    if (saved === undefined) delete process.env.NOTAM_REPLAY_FILE;
+    else process.env.NOTAM_REPLAY_FILE = saved;
+  });
+
+  delete process.env.NOTAM_REPLAY_FILE;
+  assert.throws(() => createNotamSource("replay"), /NOTAM_REPLAY_FILE/);
+
+  process.env.NOTAM_REPLAY_FILE = FIXTURE;
+  assert.equal(createNotamSource("replay").name, "replay");
+  assert.equal(createNotamSource("faa").name, "faa");
+  assert.throws(() => createNotamSource("nope"), /Unknown NOTAM source/);
+});
@@ -0,0 +1,621 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import {
+  parseRoute,
+  parseDirection,
+  parseBetweenExits,
+  isRoadClosed,
+  isLaneRestriction,
+  extractNarrativeFromDesc,
+  applyMileMarkerCleanup,
+  parseReopenToMMDDYY_HHMM,
+  buildMajorRouteClosures,
+  buildLaneRestrictionsFromTraffic,
+  normalizeRoadCondition,
+  parseSegmentDescription,
+  easternTimeToIso,
+  buildRoadConditionSegments,
+  isSpeedRestriction,
+  is45CmvRightLaneOnly,
+  getTierFromText,
+  parseRestrictionSegment,
+  buildVehicleRestrictions,
+  buildTrafficEventsGeoJson,
+  validateTable,
+  listRecordToRow,
+  resolveMileMarkers,
+  classifyIncidentCause,
+  isHazmatIncident,
+  incidentSeverity,
+  applyEventLifecycle,
+  fetchEventLocation,
+  attachEventGeometry
+} from "../scripts/scrape_511.mjs";
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8"));
+}
+
+test("parseRoute normalizes interstate, US and PA routes", () => {
+  assert.equal(parseRoute("Crash on I-81 northbound"), "I-81");
+  assert.equal(parseRoute("Crash on I - 476 southbound"), "I-476");
+  assert.equal(parseRoute("Downed wires on US 322 eastbound"), "US-322");
+  assert.equal(parseRoute("pa 581 westbound"), "PA-581");
+  assert.equal(parseRoute("Turnpike eastbound"), null);
+});
+
+test("parseDirection reads abbreviations and full words", () => {
+  assert.equal(parseDirection("I-81 NB at MM 74"), "NB");
+  assert.equal(parseDirection("CRASH on I-81 Southbound"), "SOUTH");
+  assert.equal(parseDirection("westbound 2.5 miles east of Exit 67"), "WEST");
+  assert.equal(parseDirection("Crash at MM 74"), null);
+});
+
+test("parseBetweenExits handles numbered and parenthesized exits", () => {
+  assert.deepEqual(
+    parseBetweenExits("Crash between Exit 52: PLAINFIELD and Exit 57: MECHANICSBURG."),
+    { from: "Exit 52: PLAINFIELD", to: "Exit 57: MECHANICSBURG" }
+  );
+
+  assert.deepEqual(
+    parseBetweenExits("Crash between Exit: CARLISLE (226) and GETTYSBURG PIKE (236)"),
+    { from: "CARLISLE (226)", to: "GETTYSBURG PIKE (236)" }
+  );
+
+  assert.equal(parseBetweenExits("Crash at MM 74."), null);
+});
+
+test("isRoadClosed and isLaneRestriction do not overlap", () => {
+  const closed = "Crash on I-80 eastbound. All lanes closed.";
+  const blocking = "Crash on I-80 eastbound blocking all lanes.";
+  const lane = "CRASH on I-81 Southbound At MM 74. Left Lane (of 2 Lanes) Blocked.";
+  const restriction = "Disabled vehicle on I-83. There is a lane restriction.";
+
+  assert.equal(isRoadClosed(closed), true);
+  assert.equal(isRoadClosed(blocking), true);
+  assert.equal(isLaneRestriction(closed), false);
+  assert.equal(isLaneRestriction(blocking), false);
+
+  assert.equal(isRoadClosed(lane), false);
+  assert.equal(isLaneRestriction(lane), true);
+  assert.equal(isLaneRestriction(restriction), true);
+  assert.equal(isLaneRestriction("Crash on I-81. All lanes now open."), false);
+});
+
+test("extractNarrativeFromDesc drops pipe-delimited metadata", () => {
+  const desc =
+    "Closure - Major Route | I-80 | Pennsylvania | Clinton County | " +
+    "Crash westbound near LOCK HAVEN. All lanes closed. | 1/14/26, 5:45 AM";
+
+  assert.equal(extractNarrativeFromDesc(desc), "Crash westbound near LOCK HAVEN. All lanes closed.");
+  assert.equal(extractNarrativeFromDesc("  Crash   on I-81.  "), "Crash on I-81.");
+});
+
+test("applyMileMarkerCleanup rewrites Turnpike rest-area and exit offsets", () => {
+  assert.equal(
+    applyMileMarkerCleanup(
+      "Crash between Blue Mountain Rest Area and Plainfield Service Plaza Rest Area. All lanes Closed.",
+      "Mile Post: 172.4 - Mile Post: 201.4"
+    ),
+    "Crash between Mile Marker 172.4 and 201.4. All lanes Closed."
+  );
+
+  assert.equal(
+    applyMileMarkerCleanup(
+      "Disabled vehicle 2.5 miles east of Exit 67: IRWIN. Right lane blocked.",
+      "Mile Post: 69.5"
+    ),
+    "Disabled vehicle near Mile Marker 69.5. Right lane blocked."
+  );
+
+  assert.equal(
+    applyMileMarkerCleanup("Crash between Exit 52 and Exit 57.", "Mile Post: 53.1"),
+    "Crash between Exit 52 and Exit 57."
+  );
+
+  assert.equal(
+    applyMileMarkerCleanup("Crash between Blue Mountain Rest Area and Plainfield Rest Area.", ""),
+    "Crash between Blue Mountain Rest Area and Plainfield Rest Area."
+  );
+});
+
+test("parseReopenToMMDDYY_HHMM converts to 24-hour time", () => {
+  assert.equal(parseReopenToMMDDYY_HHMM("1/14/26, 9:30 AM"), "1/14/26 - 09:30");
+  assert.equal(parseReopenToMMDDYY_HHMM("12/31/2026, 12:05 AM"), "12/31/26 - 00:05");
+  assert.equal(parseReopenToMMDDYY_HHMM("8/22/26, 12:15 PM"), "8/22/26 - 12:15");
+  assert.equal(parseReopenToMMDDYY_HHMM("8/22/26, 2:15 PM"), "8/22/26 - 14:15");
+  assert.equal(parseReopenToMMDDYY_HHMM(""), "TBD");
+  assert.equal(parseReopenToMMDDYY_HHMM("Unknown"), "TBD");
+});
+
+test("buildMajorRouteClosures formats closures from a saved travel_delays table", () => {
+  const major = buildMajorRouteClosures(loadFixture("travel_delays_sample.json"));
+
+  assert.equal(major.name, "major_route_closures");
+  assert.equal(major.count, 3);
+
+  assert.deepEqual(
+    major.items.map(i => i.formatted),
+    [
+      "I-81 (Cumberland County) | Multi-vehicle crash on I-81 northbound between Exit 52: US 11/PA 465 - PLAINFIELD and Exit 57: PA 114 - MECHANICSBURG. All lanes Closed. Estimated Reopen: 1/14/26 - 09:30",
+      "I-76 (Cumberland County) | Vehicle fire eastbound between Mile Marker 172.4 and 201.4. All lanes Closed. Estimated Reopen: 1/14/26 - 12:00",
+      "I-80 (Clinton County) | Crash westbound near Mile Marker 176.5. All lanes Closed. Estimated Reopen: TBD"
+    ]
+  );
+
+  const [first, , third] = major.items;
+  assert.equal(first.eventId, "357001");
+  assert.equal(first.direction, "NORTH");
+  assert.deepEqual(first.between, {
+    from: "Exit 52: US 11/PA 465 - PLAINFIELD",
+    to: "Exit 57: PA 114 - MECHANICSBURG"
+  });
+  assert.equal(third.county, "Clinton");
+});
+
+test("buildLaneRestrictionsFromTraffic keeps only major-route lane blockages", () => {
+  const lane = buildLaneRestrictionsFromTraffic(loadFixture("travel_delays_sample.json"));
+
+  assert.equal(lane.name, "lane_restrictions");
+  assert.deepEqual(lane.items.map(i => i.eventId), ["357003", "356914"]);
+
+  assert.deepEqual(
+    lane.items.map(i => i.formatted),
+    [
+      "I-76 (Westmoreland County) | Disabled tractor trailer on I-76 westbound 2.5 miles east of Exit 67: IRWIN. Right lane blocked. Estimated Reopen: 1/14/26 - 10:00",
+      "I-81 (Dauphin County) | CRASH on I-81 Southbound At MM 74. Left Lane Blocked, Left Shoulder Blocked. Estimated Reopen: 8/22/26 - 14:15"
+    ]
+  );
+});
+
+test("normalizeRoadCondition maps 511PA wording onto the condition enum", () => {
+  assert.equal(normalizeRoadCondition("Normal Conditions"), "normal");
+  assert.equal(normalizeRoadCondition("Wet"), "wet");
+  assert.equal(normalizeRoadCondition("Patches of Snow"), "snow_patches");
+  assert.equal(normalizeRoadCondition("Icy Spots"), "ice_patches");
+  assert.equal(normalizeRoadCondition("Snow Covered"), "snow_covered");
+  assert.equal(normalizeRoadCondition("Snow Covered, Icy Spots"), "snow_covered");
+  assert.equal(normalizeRoadCondition("Ice Covered"), "ice_covered");
+  assert.equal(normalizeRoadCondition("Travel Not Advised"), "closed");
+  assert.equal(normalizeRoadCondition(""), "unknown");
+});
+
+test("parseSegmentDescription splits exit numbers from exit names", () => {
+  assert.deepEqual(
+    parseSegmentDescription("From Exit: US 6N - ALBION/EDINBORO { # 166 } to Exit: PA 5 EAST - 12TH ST { # 183A }"),
+    {
+      from: { exit: "166", name: "US 6N - ALBION/EDINBORO", text: "Exit: US 6N - ALBION/EDINBORO { # 166 }" },
+      to: { exit: "183A", name: "PA 5 EAST - 12TH ST", text: "Exit: PA 5 EAST - 12TH ST { # 183A }" }
+    }
+  );
+
+  assert.deepEqual(
+    parseSegmentDescription("From (Beginning of I - 086) to New York State Line"),
+    {
+      from: { exit: null, name: "Beginning of I - 086", text: "(Beginning of I - 086)" },
+      to: { exit: null, name: "New York State Line", text: "New York State Line" }
+    }
+  );
+
+  assert.equal(parseSegmentDescription("From Ohio State Line").to, null);
+});
+
+test("easternTimeToIso applies the Eastern offset for winter and summer", () => {
+  assert.equal(easternTimeToIso("1/14/26, 6:10 AM"), "2026-01-14T11:10:00.000Z");
+  assert.equal(easternTimeToIso("8/22/26, 12:05 AM"), "2026-08-22T04:05:00.000Z");
+  assert.equal(easternTimeToIso("TBD"), null);
+});
+
+test("buildRoadConditionSegments rolls up the worst condition per route", () => {
+  const segments = buildRoadConditionSegments(loadFixture("road_conditions_sample.json"));
+
+  assert.equal(segments.name, "road_conditions_segments");
+  assert.equal(segments.count, 6);
+
+  const first = segments.items[0];
+  assert.equal(first.id, "65201");
+  assert.equal(first.route, "I-80");
+  assert.equal(first.county, "Clinton");
+  assert.equal(first.from.exit, "178");
+  assert.equal(first.to.exit, "185");
+  assert.equal(first.condition, "snow_covered");
+
+  assert.deepEqual(
+    segments.routes.map(r => r.summary),
+    [
+      "I-80: snow covered in Clinton/Centre",
+      "I-79: wet in Erie",
+      "I-86: normal conditions",
+      "I-90: normal conditions"
+    ]
+  );
+});
+
+test("restriction classifiers separate speed, CMV lane and tier wording", () => {
+  assert.equal(isSpeedRestriction("I-81 northbound between Exit 52 and Exit 57. Speed restriction of 45 mph."), true);
+  assert.equal(isSpeedRestriction("Speed restriction of 45 mph."), false);
+  assert.equal(is45CmvRightLaneOnly("I-78 eastbound. Commercial vehicles right lane only, speed reduced to 45 mph."), true);
+  assert.equal(is45CmvRightLaneOnly("I-78 eastbound. Commercial vehicles right lane only, speed reduced to 55 mph."), false);
+  assert.equal(getTierFromText("Tier 3 restriction in effect"), 3);
+  assert.equal(getTierFromText("Complete CMV restriction"), 4);
+  assert.equal(getTierFromText("Right lane closed"), null);
+});
+
+test("parseRestrictionSegment reads route, direction and endpoints", () => {
+  const seg = parseRestrictionSegment("I - 80 westbound between Exit 101: DUBOIS and Exit 97: BROCKWAY. Tier 2 restriction.");
+
+  assert.equal(seg.route, "I-80");
+  assert.equal(seg.dir, "W");
+  assert.equal(seg.start, "Exit 101: DUBOIS");
+  assert.equal(seg.end, "Exit 97: BROCKWAY");
+  assert.equal(seg.rest, "Tier 2 restriction.");
+  assert.equal(parseRestrictionSegment("Tier 2 restriction."), null);
+});
+
+test("buildVehicleRestrictions merges contiguous segments and splits planned from active", () => {
+  const vehicle = buildVehicleRestrictions(
+    loadFixture("restrictions_sample.json"),
+    new Date("2026-01-14T15:00:00.000Z")
+  );
+
+  assert.equal(vehicle.name, "vehicle_restrictions");
+  assert.deepEqual(
+    vehicle.items.map(i => [i.category, i.state, i.group, i.route, i.direction]),
+    [
+      ["vehicle", "active", "rl45", "I-78", "EAST"],
+      ["vehicle", "active", "tier2", "I-80", "WEST"],
+      ["speed", "active", "speed", "I-81", "NORTH"],
+      ["vehicle", "planned", "tier1", "I-84", "EAST"]
+    ]
+  );
+
+  const tier2 = vehicle.items[1];
+  assert.equal(tier2.segment_count, 2);
+  assert.equal(tier2.from, "Exit 101: PA 255 - DUBOIS");
+  assert.equal(tier2.to, "Exit 90: PA 830 - DUBOIS AIRPORT");
+  assert.deepEqual(tier2.vehicle_classes, ["cmv", "tractor_trailers", "empty_trailers", "tandem_trailers", "towed_trailers", "buses", "motorcycles"]);
+
+  assert.equal(vehicle.items[0].speed_limit_mph, 45);
+  assert.equal(vehicle.items[2].speed_limit_mph, 45);
+
+  const planned = vehicle.items[3];
+  assert.equal(planned.start_time_at, "2026-01-16T10:00:00.000Z");
+  assert.equal(planned.subline, "Starting on: 01/16/26 at 05:00 hours.");
+});
+
+test("buildVehicleRestrictions ends active items at the last date in the row without an until phrase", () => {
+  const table = {
+    headers: ["", "Description", "Roadway", "Start Time", "Action"],
+    rows: [
+      { cells: ["Row Details", "I-80 westbound between Exit 101: DUBOIS and Exit 97: BROCKWAY. Tier 2 restriction. Posted 1/13/26, 9:00 PM; expected to lift 1/15/26, 6:00 PM", "I-80", "", ""] },
+      { cells: ["Row Details", "I-81 northbound between Exit 52: PLAINFIELD and Exit 57: MECHANICSBURG. Speed restriction of 45 mph until 1/16/26, 7:00 AM. Posted 1/13/26, 9:00 PM", "I-81", "1/14/26, 5:30 AM", ""] }
+    ]
+  };
+  const [speed, tier2] = buildVehicleRestrictions(table, new Date("2026-01-14T15:00:00.000Z")).items
+    .sort((a, b) => a.category.localeCompare(b.category));
+
+  assert.equal(tier2.category, "vehicle");
+  assert.equal(tier2.end_time, "1/15/26, 6:00 PM");
+  assert.match(tier2.subline, /^Ending on: 01\/15\/26 at 18:00/);
+  assert.equal(speed.end_time, "1/16/26, 7:00 AM");
+  assert.match(speed.subline, /^Ending on: 01\/16\/26 at 07:00/);
+});
+
+test("buildTrafficEventsGeoJson emits a point per located event and a line for its extent", () => {
+  const major = {
+    name: "major_route_closures",
+    items: [
+      { eventId: "101", route: "I-80", direction: "EAST", county: "Clinton", formatted: "I-80 closure", status: "new",
+        location: { lat: 41.1, lon: -77.5, polyline: "_p~iF~ps|U_ulLnnqC_mqNvxq`@" } },
+      { eventId: "102", route: "I-81", direction: "NORTH", county: "Dauphin", formatted: "I-81 closure", location: null }
+    ]
+  };
+
+  const geojson = buildTrafficEventsGeoJson([major], "2026-01-14T15:00:00.000Z");
+
+  assert.equal(geojson.type, "FeatureCollection");
+  assert.deepEqual(geojson.features.map(f => [f.id, f.geometry.type]), [
+    ["101:point", "Point"],
+    ["101:line", "LineString"]
+  ]);
+  assert.deepEqual(geojson.features[0].geometry.coordinates, [-77.5, 41.1]);
+  assert.deepEqual(geojson.features[1].geometry.coordinates[0], [-120.2, 38.5]);
+  assert.equal(geojson.features[0].properties.kind, "major_route_closures");
+});
+
+test("validateTable rejects changed headers, empty shells and large row drops", () => {
+  const good = loadFixture("travel_delays_sample.json");
+  assert.deepEqual(validateTable("travel_delays", good, good), []);
+
+  const renamed = { ...good, headers: good.headers.map(h => (h === "Description" ? "Details" : h)) };
+  assert.match(validateTable("travel_delays", renamed, good)[0], /missing Description/);
+
+  const shell = { ...good, rows: [], total_reported: null };
+  assert.deepEqual(validateTable("travel_delays", shell, good), ["no rows returned and 511PA did not report an empty list"]);
+  assert.deepEqual(validateTable("travel_delays", { ...shell, total_reported: 0 }, good), []);
+
+  const prev = { rows: Array.from({ length: 40 }, () => good.rows[0]) };
+  const [drop] = validateTable("travel_delays", { ...good, rows: good.rows.slice(0, 5) }, prev);
+  assert.match(drop, /fell from 40 to 5/);
+
+  const small = { rows: good.rows.slice(0, 4) };
+  assert.deepEqual(validateTable("travel_delays", { ...good, rows: good.rows.slice(0, 1) }, small), []);
+});
+
+test("validateTable rejects JSON lists whose records no longer carry the required fields", () => {
+  const columns = [
+    { header: "", keys: [] },
+    { header: "Description", keys: ["description", "restrictionDescription"] },
+    { header: "Roadway", keys: ["roadwayName", "roadway", "roadName"] },
+    { header: "Start Time", keys: ["startDate", "startTime", "reported"], time: true },
+    { header: "Action", keys: [], map: true }
+  ];
+  const table = records => ({
+    mode: "json",
+    headers: columns.map(c => c.header),
+    rows: records.map(rec => listRecordToRow(rec, columns)),
+    total_reported: records.length
+  });
+
+  const current = [
+    { description: "I-80 westbound between Exit 101 and Exit 97. Tier 2 restriction.", roadwayName: "I-80", startDate: "1/14/26, 5:00 AM" },
+    { description: "I-81 northbound between Exit 52 and Exit 57. Speed restriction of 45 mph.", roadwayName: "I-81", startDate: "1/14/26, 5:30 AM" }
+  ];
+  assert.deepEqual(validateTable("restrictions", table(current)), []);
+
+  const renamed = current.map(({ description, roadwayName, ...rest }) => ({ ...rest, details: description, route: roadwayName }));
+  assert.deepEqual(validateTable("restrictions", table(renamed)), [
+    "Description is empty on 2 of 2 rows",
+    "Roadway is empty on 2 of 2 rows"
+  ]);
+});
+
+test("classifyIncidentCause prefers the most specific cause in the description", () => {
+  const cases = [
+    ["Multi vehicle crash on I-81 northbound", "multi_vehicle_crash"],
+    ["Crash involving a jackknifed tractor trailer", "jackknifed_or_overturned_truck"],
+    ["Overturned tanker on I-78 westbound", "jackknifed_or_overturned_truck"],
+    ["Vehicle fire eastbound between exits", "vehicle_fire"],
+    ["CRASH on I-81 Southbound At MM 74", "crash"],
+    ["Disabled tractor trailer on I-76 westbound", "disabled_vehicle"],
+    ["Downed wires on PA 45 eastbound", "downed_wires"],
+    ["Debris in roadway on US 22", "debris"],
+    ["Flooding on PA 61 northbound", "flooding"],
+    ["Winter weather on I-80. Road closed.", "weather"],
+    ["Police activity on I-83", "other"]
+  ];
+
+  for (const [desc, cause] of cases) assert.equal(classifyIncidentCause(desc), cause, desc);
+
+  assert.equal(isHazmatIncident("Hazmat spill on I-78"), true);
+  assert.equal(isHazmatIncident("Fuel spill after crash on I-81"), true);
+  assert.equal(isHazmatIncident("Crash on I-81"), false);
+});
+
+test("incidentSeverity weighs cause, closure, route class and elapsed time", () => {
+  const now = new Date("2026-01-14T15:00:00.000Z");
+
+  assert.equal(incidentSeverity({ cause: "multi_vehicle_crash", fullClosure: true, route: "I-81", startIso: "2026-01-14T10:00:00.000Z" }, now), 95);
+  assert.equal(incidentSeverity({ cause: "disabled_vehicle", fullClosure: false, route: "PA-45", startIso: "2026-01-14T14:30:00.000Z" }, now), 25);
+  assert.equal(incidentSeverity({ cause: "crash", fullClosure: true, route: "US-22", startIso: null }, now), 65);
+
+  const major = buildMajorRouteClosures(loadFixture("travel_delays_sample.json"), now);
+  assert.deepEqual(
+    major.items.map(i => [i.route, i.cause, i.severity]),
+    [
+      ["I-81", "multi_vehicle_crash", 90],
+      ["I-76", "vehicle_fire", 85],
+      ["I-80", "crash", 85]
+    ]
+  );
+});
+
+test("resolveMileMarkers places events by mile post and named plaza", () => {
+  const cases = [
+    [{ route: "I-80", description: "Crash westbound 1.5 miles west of Exit 178: LOCK HAVEN. | Mile Post: 176.5 |" }, [176.5, 176.5, 0]],
+    [{ route: "I-81", description: "CRASH on I-81 Southbound At MM 74." }, [74, 74, 0]],
+    [{ route: "I-76", description: "Crash eastbound between Sideling Hill Service Plaza and Blue Mountain Service Plaza." }, [172.3, 201.4, 29.1]],
+    [{ route: "I-76", description: "Disabled vehicle westbound at the Highspire Service Plaza." }, [249.7, 249.7, 0]]
+  ];
+
+  for (const [input, [from, to, length]] of cases) {
+    assert.deepEqual(resolveMileMarkers(input), { from_mm: from, to_mm: to, length_miles: length }, input.description);
+  }
+
+  assert.deepEqual(resolveMileMarkers({ route: "PA-45", description: "Downed wires on PA 45." }), { from_mm: null, to_mm: null, length_miles: null });
+});
+
+test("resolveMileMarkers resolves exits through the shipped exits tables", () => {
+  const unresolved = { from_mm: null, to_mm: null, length_miles: null };
+  const cases = [
+    [{ route: "I-81", description: "Crash on I-81 northbound between Exit 57: PA 114 - MECHANICSBURG and Exit 52: US 11 - PLAINFIELD." }, [52, 57, 5]],
+    [{ route: "I-76", description: "Disabled vehicle on I-76 westbound 2.5 miles east of Exit 67: IRWIN." }, [69.5, 69.5, 0]],
+    [{ route: "I-80", from: "Exit 101: PA 255 - DUBOIS", to: "Exit 90: PA 830 - DUBOIS AIRPORT" }, [90, 101, 11]],
+    [{ route: "I-476", description: "Lane closed southbound between Exit 56: LEHIGH VALLEY and Exit 44: QUAKERTOWN." }, [44, 56, 12]],
+    [{ route: "I-83", description: "Crash northbound at Exit 41B: LEMOYNE." }, [41, 41, 0]]
+  ];
+
+  for (const [input, [from, to, length]] of cases) {
+    assert.deepEqual(resolveMileMarkers(input), { from_mm: from, to_mm: to, length_miles: length }, input.description || input.from);
+  }
+
+  assert.deepEqual(resolveMileMarkers({ route: "I-81", description: "Crash near Exit 412." }), unresolved);
+  assert.deepEqual(resolveMileMarkers({ route: "I-84", description: "Crash near Exit 5." }), unresolved);
+});
+
+test("resolveMileMarkers prefers an injected exits table's finer mileposts", () => {
+  const unresolved = { from_mm: null, to_mm: null, length_miles: null };
+  const table = {
+    routes: {
+      "I-81": { increasing: ["north"], mm_range: [0, 233], exits: { "52": 52.4, "57": 57.1 } },
+      "I-76": { increasing: ["east"], mm_range: [0, 352], exits: { "67": 67.3 } },
+      "I-80": { increasing: ["east"], mm_range: [0, 311.2], exits: { "90": 90.2, "101": 101.1 } }
+    }
+  };
+
+  const cases = [
+    [{ route: "I-81", description: "Crash on I-81 northbound between Exit 57: PA 114 - MECHANICSBURG and Exit 52: US 11 - PLAINFIELD." }, [52.4, 57.1, 4.7]],
+    [{ route: "I-81", description: "Crash on I-81 northbound between Exit: Plainfield (52) and Mechanicsburg (57)." }, [52.4, 57.1, 4.7]],
+    [{ route: "I-76", description: "Disabled vehicle on I-76 westbound 2.5 miles east of Exit 67: IRWIN." }, [69.8, 69.8, 0]],
+    [{ route: "I-80", from: "Exit 101: PA 255 - DUBOIS", to: "Exit 90: PA 830 - DUBOIS AIRPORT" }, [90.2, 101.1, 10.9]]
+  ];
+
+  for (const [input, [from, to, length]] of cases) {
+    assert.deepEqual(resolveMileMarkers(input, table), { from_mm: from, to_mm: to, length_miles: length }, input.description || input.from);
+  }
+
+  assert.deepEqual(resolveMileMarkers({ route: "I-81", description: "Crash near Exit 412." }, table), unresolved);
+});
+
+function lifecycleBuild(items) {
+  return { name: "major_route_closures", items: items.map(i => ({ ...i })) };
+}
+
+test("applyEventLifecycle marks first sightings new and keeps first_seen afterwards", () => {
+  const t0 = new Date("2026-01-14T15:00:00.000Z");
+  const t1 = new Date("2026-01-14T15:10:00.000Z");
+  const item = { eventId: "501", route: "I-81", direction: "NORTH", formatted: "I-81 closed", anticipated_end_time: "01/14/26 at 18:00 hours" };
+
+  const first = lifecycleBuild([item]);
+  const s0 = applyEventLifecycle([first], null, t0);
+
+  assert.equal(first.items[0].status, "new");
+  assert.deepEqual(s0.events["501"].anticipated_end_time_history, [{ at: t0.toISOString(), value: item.anticipated_end_time }]);
+  assert.equal(s0.events["501"].first_seen, t0.toISOString());
+
+  const again = lifecycleBuild([item]);
+  const s1 = applyEventLifecycle([again], s0, t1);
+
+  assert.equal(again.items[0].status, "ongoing");
+  assert.equal(s1.events["501"].first_seen, t0.toISOString());
+  assert.equal(s1.events["501"].last_seen, t1.toISOString());
+  assert.equal(s1.events["501"].anticipated_end_time_history.length, 1);
+});
+
+test("applyEventLifecycle records anticipated end changes as updates", () => {
+  const t0 = new Date("2026-01-14T15:00:00.000Z");
+  const t1 = new Date("2026-01-14T16:00:00.000Z");
+  const item = { eventId: "502", route: "I-80", direction: "EAST", formatted: "I-80 closed", anticipated_end_time: "01/14/26 at 18:00 hours" };
+
+  const s0 = applyEventLifecycle([lifecycleBuild([item])], null, t0);
+  const later = lifecycleBuild([{ ...item, anticipated_end_time: "01/14/26 at 21:00 hours" }]);
+  const s1 = applyEventLifecycle([later], s0, t1);
+
+  assert.equal(later.items[0].status, "updated");
+  assert.deepEqual(s1.events["502"].anticipated_end_time_history, [
+    { at: t0.toISOString(), value: "01/14/26 at 18:00 hours" },
+    { at: t1.toISOString(), value: "01/14/26 at 21:00 hours" }
+  ]);
+  assert.deepEqual(later.items[0].anticipated_end_time_history, s1.events["502"].anticipated_end_time_history);
+});
+
+test("applyEventLifecycle keeps cleared events for the recently-cleared window", () => {
+  const t0 = new Date("2026-01-14T15:00:00.000Z");
+  const t1 = new Date("2026-01-14T15:10:00.000Z");
+  const t2 = new Date("2026-01-14T22:00:00.000Z");
+  const item = { eventId: "503", route: "I-78", direction: "WEST", formatted: "I-78 closed", anticipated_end_time: "" };
+
+  const s0 = applyEventLifecycle([lifecycleBuild([item])], null, t0);
+  const s1 = applyEventLifecycle([lifecycleBuild([])], s0, t1);
+
+  assert.equal(s1.events["503"].status, "cleared");
+  assert.equal(s1.events["503"].cleared_at, t1.toISOString());
+  assert.equal(s1.events["503"].first_seen, t0.toISOString());
+
+  const back = lifecycleBuild([item]);
+  applyEventLifecycle([back], s1, t1);
+  assert.equal(back.items[0].status, "updated");
+  assert.equal(back.items[0].cleared_at, null);
+
+  const s2 = applyEventLifecycle([lifecycleBuild([])], s1, t2);
+  assert.equal(s2.events["503"], undefined);
+});
+
+function geometryBuild(items) {
+  return { name: "major_route_closures", items: items.map(i => ({ ...i })) };
+}
+
+function geometryState(items) {
+  return { events: Object.fromEntries(items.map(i => [i.eventId, { item: i }])) };
+}
+
+const RAW_INCIDENT = { id: 601, roadway: "I-80", direction: "East", latitude: 41.05, longitude: -77.52, polyline: "" };
+
+test("fetchEventLocation falls back to the other map layer", async () => {
+  const asked = [];
+  const location = await fetchEventLocation({ eventId: "601", layer: "MajorRouteClosure" }, async (id, layer) => {
+    asked.push(layer);
+    if (layer === "MajorRouteClosure") throw new Error("404");
+    return RAW_INCIDENT;
+  });
+
+  assert.deepEqual(asked, ["MajorRouteClosure", "MajorRouteIncident"]);
+  assert.equal(location.layer, "MajorRouteIncident");
+  assert.equal(location.lat, 41.05);
+
+  await assert.rejects(fetchEventLocation({ eventId: "602" }, async () => { throw new Error("gone"); }), /gone/);
+});
+
+test("attachEventGeometry reuses locations and waits out cached misses", async () => {
+  const now = new Date("2026-01-14T15:00:00.000Z");
+  const located = { eventId: "611", description: "Crash A", location: { lat: 41, lon: -77 } };
+  const missed = { eventId: "612", description: "Crash B", location: null, location_retry_after: "2026-01-14T15:30:00.000Z" };
+  const expired = { eventId: "613", description: "Crash C", location: null, location_retry_after: "2026-01-14T14:30:00.000Z" };
+  const edited = { eventId: "614", description: "Crash D", location: null, location_retry_after: "2026-01-14T15:30:00.000Z" };
+
+  const build = geometryBuild([
+    { eventId: "611", description: "Crash A" },
+    { eventId: "612", description: "Crash B" },
+    { eventId: "613", description: "Crash C" },
+    { eventId: "614", description: "Crash D, now two lanes closed" }
+  ]);
+
+  const asked = [];
+  const counts = await attachEventGeometry([build], geometryState([located, missed, expired, edited]), {
+    now,
+    fetchLocation: async (item) => {
+      asked.push(item.eventId);
+      if (item.eventId === "613") throw new Error("still missing");
+      return { lat: 40, lon: -76 };
+    }
+  });
+
+  assert.deepEqual(asked.sort(), ["613", "614"]);
+  assert.deepEqual(counts, { fetched: 1, reused: 1, failed: 1, skipped: 1, deferred: 0 });
+
+  const [a, b, c, d] = build.items;
+  assert.deepEqual(a.location, located.location);
+  assert.equal(b.location, null);
+  assert.equal(b.location_retry_after, missed.location_retry_after);
+  assert.equal(c.location, null);
+  assert.equal(c.location_retry_after, "2026-01-14T16:00:00.000Z");
+  assert.deepEqual(d.location, { lat: 40, lon: -76 });
+  assert.equal(d.location_retry_after, undefined);
+});
+
+test("attachEventGeometry defers lookups once the time budget is spent", async () => {
+  const build = geometryBuild([1, 2, 3, 4, 5].map(n => ({ eventId: String(620 + n), description: "Crash" })));
+  let running = 0;
+  let peak = 0;
+
+  const counts = await attachEventGeometry([build], null, {
+    concurrency: 2,
+    budgetMs: 30,
+    fetchLocation: async (item) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, item.eventId === "621" ? 10 : 200));
+      running--;
+      return { lat: 40, lon: -76 };
+    }
+  });
+
+  assert.equal(peak, 2);
+  assert.equal(counts.fetched, 1);
+  assert.equal(counts.deferred, 4);
+  assert.equal(counts.failed, 0);
+  assert.ok(build.items.every(i => i.location_retry_after === undefined));
+  assert.deepEqual(build.items[0].location, { lat: 40, lon: -76 });
+});
@@ -0,0 +1,86 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  flightCategory,
+  parseTafGroups,
+  buildTafTimeline
+} from "../scripts/taf_decode.mjs";
+
+// Issued on the last day of January; every change group after FM312300 falls
+// on 1 February.
+const PIT_TAF = "TAF KPIT 311720Z 3118/0124 25012KT P6SM SCT050 FM312300 27015G25KT 5SM -SHRA OVC025 " +
+  "TEMPO 3123/0103 2SM SHRA BKN008 BECMG 0103/0105 P6SM BKN040 PROB30 0106/0110 1SM BR OVC004 " +
+  "FM011500 30010KT P6SM SKC";
+
+const iso = (d) => d.toISOString();
+
+test("flightCategory follows the ceiling and visibility limits", () => {
+  assert.equal(flightCategory(null, 10), "VFR");
+  assert.equal(flightCategory(3000, 10), "MVFR");
+  assert.equal(flightCategory(800, 10), "IFR");
+  assert.equal(flightCategory(null, 0.5), "LIFR");
+});
+
+test("parseTafGroups resolves FM, TEMPO, BECMG and PROB groups across month end", () => {
+  const taf = parseTafGroups(PIT_TAF, "2026-01-31T17:20:00Z");
+
+  assert.equal(iso(taf.issued), "2026-01-31T17:20:00.000Z");
+  assert.equal(iso(taf.validFrom), "2026-01-31T18:00:00.000Z");
+  assert.equal(iso(taf.validTo), "2026-02-02T00:00:00.000Z");
+
+  assert.deepEqual(taf.groups.map(g => [g.type, g.prob, iso(g.from), iso(g.to), g.visSM, g.ceilingFt]), [
+    ["BASE", null, "2026-01-31T18:00:00.000Z", "2026-02-02T00:00:00.000Z", 6, null],
+    ["FM", null, "2026-01-31T23:00:00.000Z", "2026-02-02T00:00:00.000Z", 5, 2500],
+    ["TEMPO", null, "2026-01-31T23:00:00.000Z", "2026-02-01T03:00:00.000Z", 2, 800],
+    ["BECMG", null, "2026-02-01T03:00:00.000Z", "2026-02-01T05:00:00.000Z", 6, 4000],
+    ["PROB", 30, "2026-02-01T06:00:00.000Z", "2026-02-01T10:00:00.000Z", 1, 400],
+    ["FM", null, "2026-02-01T15:00:00.000Z", "2026-02-02T00:00:00.000Z", 6, null]
+  ]);
+});
+
+test("parseTafGroups rolls the year over and reads an issue day from the previous month", () => {
+  const newYear = parseTafGroups("TAF KPHL 312330Z 0100/0124 VRB03KT P6SM SKC FM010600 1/2SM FG VV002", "2026-12-31T23:30:00Z");
+  assert.equal(iso(newYear.validFrom), "2027-01-01T00:00:00.000Z");
+  assert.equal(iso(newYear.validTo), "2027-01-02T00:00:00.000Z");
+  assert.equal(iso(newYear.groups[1].from), "2027-01-01T06:00:00.000Z");
+
+  // The feed's issue time can already be past midnight on the 1st.
+  const late = parseTafGroups("TAF KERI 282340Z 0100/0124 P6SM SKC", "2026-03-01T00:05:00Z");
+  assert.equal(iso(late.issued), "2026-02-28T23:40:00.000Z");
+  assert.equal(iso(late.validFrom), "2026-03-01T00:00:00.000Z");
+
+  assert.equal(parseTafGroups("TAF KERI NIL", "2026-03-01T00:05:00Z"), null);
+  assert.equal(parseTafGroups(PIT_TAF, "not a time"), null);
+});
+
+test("buildTafTimeline carries prevailing and temporary categories past midnight", () => {
+  const taf = parseTafGroups(PIT_TAF, "2026-01-31T17:20:00Z");
+  const timeline = buildTafTimeline(taf, new Date("2026-01-31T21:30:00Z"), 20);
+  const at = (time) => timeline.find(e => e.time === time);
+
+  assert.equal(timeline.length, 20);
+  assert.equal(timeline[0].time, "2026-01-31T21:00:00.000Z");
+
+  assert.deepEqual(at("2026-01-31T22:00:00.000Z"), {
+    time:"2026-01-31T22:00:00.000Z", cat:"VFR", ceilingFt:null, visSM:6, tempoCat:null, tempoProb:null
+  });
+  assert.deepEqual(at("2026-01-31T23:00:00.000Z"), {
+    time:"2026-01-31T23:00:00.000Z", cat:"MVFR", ceilingFt:2500, visSM:5, tempoCat:"IFR", tempoProb:null
+  });
+  assert.equal(at("2026-02-01T02:00:00.000Z").tempoCat, "IFR");
+
+  // BECMG improves only once its window has passed.
+  assert.equal(at("2026-02-01T04:00:00.000Z").cat, "MVFR");
+  assert.equal(at("2026-02-01T04:00:00.000Z").tempoCat, null);
+  assert.equal(at("2026-02-01T05:00:00.000Z").cat, "VFR");
+  assert.equal(at("2026-02-01T05:00:00.000Z").ceilingFt, 4000);
+
+  assert.deepEqual(
+    ["06", "09", "10"].map(h => at(`2026-02-01T${h}:00:00.000Z`)).map(e => [e.tempoCat, e.tempoProb]),
+    [["LIFR", 30], ["LIFR", 30], [null, null]]
+  );
+  assert.equal(at("2026-02-01T15:00:00.000Z").ceilingFt, null);
+
+  assert.deepEqual(buildTafTimeline(null), []);
+});
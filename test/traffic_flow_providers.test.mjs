@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import {
+  createFlowProviders,
+  createTomTomProvider,
+  createHereProvider,
+  normalizeTomTomFlow,
+  normalizeHereFlow
+} from "../scripts/traffic_flow_providers.mjs";
+
+function loadFixture(name){
+  return JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8"));
+}
+
+// Serves `body` for every fetch and records the requested URLs.
+async function withFetch(status, body, fn){
+  const original = globalThis.fetch;
+  const urls = [];
+
+  globalThis.fetch = async (url) => {
+    urls.push(String(url));
+    return {
+      ok:status >= 200 && status < 300,
+      status,
+      statusText:status === 200 ? "OK" : "Forbidden",
+      json:async () => body
+    };
+  };
+
+  try {
+    await fn(urls);
+  } finally {
+    globalThis.fetch = original;
+  }
+}
+
+const PROBE = { lat:40.1965, lon:-77.14 };
+
+test("normalizeTomTomFlow keeps mph speeds, travel times and the segment shape", () => {
+  const flow = normalizeTomTomFlow(loadFixture("tomtom_flow_sample.json").flowSegmentData);
+
+  assert.deepEqual(flow, {
+    provider:"tomtom",
+    currentSpeed:41,
+    freeFlowSpeed:65,
+    currentTravelTime:176,
+    freeFlowTravelTime:111,
+    confidence:0.93,
+    roadClosure:false,
+    geometry:[
+      { lat:40.19812, lon:-77.1524 },
+      { lat:40.1963, lon:-77.1412 },
+      { lat:40.19455, lon:-77.1287 }
+    ]
+  });
+
+  assert.equal(normalizeTomTomFlow(null), null);
+  assert.deepEqual(normalizeTomTomFlow({ currentSpeed:"n/a", roadClosure:"true" }).geometry, []);
+  assert.equal(normalizeTomTomFlow({ currentSpeed:"n/a", roadClosure:"true" }).currentSpeed, null);
+  assert.equal(normalizeTomTomFlow({ currentSpeed:"n/a", roadClosure:"true" }).roadClosure, false);
+});
+
+test("normalizeHereFlow converts m/s to mph and derives travel times from length", () => {
+  const [, interstate, closed] = loadFixture("here_flow_sample.json").results;
+
+  assert.deepEqual(normalizeHereFlow(interstate), {
+    provider:"here",
+    currentSpeed:29.3,
+    freeFlowSpeed:65.3,
+    currentTravelTime:116,
+    freeFlowTravelTime:52,
+    confidence:0.9,
+    roadClosure:false,
+    geometry:[
+      { lat:40.19812, lon:-77.1524 },
+      { lat:40.1963, lon:-77.1412 },
+      { lat:40.1963, lon:-77.1412 },
+      { lat:40.1954, lon:-77.1348 }
+    ]
+  });
+
+  const stopped = normalizeHereFlow(closed);
+  assert.equal(stopped.roadClosure, true);
+  assert.equal(stopped.currentSpeed, 0);
+  assert.equal(stopped.currentTravelTime, null);
+  assert.equal(stopped.freeFlowTravelTime, 72);
+
+  assert.equal(normalizeHereFlow({ location:{} }), null);
+});
+
+test("HERE provider keeps the result whose shape passes closest to the probe", async () => {
+  const provider = createHereProvider({ key:"k", radiusMeters:80 });
+
+  await withFetch(200, loadFixture("here_flow_sample.json"), async (urls) => {
+    const flow = await provider.fetchFlow(PROBE);
+
+    assert.equal(flow.currentTravelTime, 116);
+    assert.match(urls[0], /in=circle:40\.1965,-77\.14;r=80/);
+    assert.match(urls[0], /apiKey=k/);
+  });
+
+  await withFetch(200, { results:[] }, async () => {
+    assert.equal(await provider.fetchFlow(PROBE), null);
+  });
+});
+
+test("TomTom provider normalizes the response and surfaces the HTTP status", async () => {
+  const provider = createTomTomProvider({ key:"k" });
+
+  await withFetch(200, loadFixture("tomtom_flow_sample.json"), async (urls) => {
+    assert.equal((await provider.fetchFlow(PROBE)).currentSpeed, 41);
+    assert.match(urls[0], /point=40\.1965,-77\.14&unit=mph/);
+  });
+
+  await withFetch(403, {}, async () => {
+    await assert.rejects(provider.fetchFlow(PROBE), (e) => e.status === 403 && /TomTom flow failed: 403/.test(e.message));
+  });
+});
+
+test("createFlowProviders builds the configured fallback order", () => {
+  const keys = { TOMTOM_KEY:process.env.TOMTOM_KEY, HERE_API_KEY:process.env.HERE_API_KEY };
+  process.env.TOMTOM_KEY = "t";
+  delete process.env.HERE_API_KEY;
+
+  try {
+    const providers = createFlowProviders(" HERE, tomtom ,,replay");
+
+    assert.deepEqual(providers.map(p => p.name), ["here", "tomtom", "replay"]);
+    assert.deepEqual(providers.map(p => p.available), [false, true, true]);
+    assert.deepEqual(providers.map(p => p.metered), [true, true, false]);
+    assert.deepEqual(createFlowProviders().map(p => p.name), ["tomtom"]);
+    assert.throws(() => createFlowProviders("tomtom,inrix"), /Unknown traffic flow provider "inrix"/);
+  } finally {
+    for (const [name, value] of Object.entries(keys)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+});
@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+
+import { fetchNotams } from "../scripts/update_airports_live.mjs";
+
+const FIXTURE = fileURLToPath(new URL("./fixtures/notams_sample.json", import.meta.url));
+
+test("fetchNotams replays every registry airport in registry order", async (t) => {
+  const saved = { source:process.env.NOTAM_SOURCE, file:process.env.NOTAM_REPLAY_FILE };
+  t.after(() => {
+    for (const [key, value] of [["NOTAM_SOURCE", saved.source], ["NOTAM_REPLAY_FILE", saved.file]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  process.env.NOTAM_SOURCE = "replay";
+  process.env.NOTAM_REPLAY_FILE = FIXTURE;
+
+  const notams = await fetchNotams();
+
+  assert.equal(notams.source, "replay");
+  assert.deepEqual(notams.errors, []);
+  assert.equal(notams.asOf, "2026-10-14T15:00:00.000Z");
+  assert.deepEqual(Object.keys(notams.airports).slice(0, 3), ["KPIT", "KAGC", "KLBE"]);
+  assert.equal(Object.keys(notams.airports).length, 21);
+  assert.deepEqual(notams.airports.KABE.map(n => n.category), ["runway", "taxiway"]);
+});
@@ -0,0 +1,609 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  compareDiscovered,
+  upstreamPath,
+  centerlineGeometry,
+  scoreFlow,
+  summarizeSamples,
+  estimateClearance,
+  linkSecondaryIncidents,
+  sampleOppositeDirection,
+  confidenceFromValidation,
+  parseFixtureArgs,
+  replayRecording,
+  buildTqGeoJson,
+  queueTrend,
+  applyQueueHistory,
+  useFlowProviders,
+  loadFlowBudget,
+  saveFlowBudget,
+  fetchFlow,
+  flowUsageSummary
+} from "../scripts/update_tq_live.mjs";
+
+const TQ_FIXTURES = new URL("./fixtures/tq/", import.meta.url);
+
+function loadJson(url) {
+  return JSON.parse(fs.readFileSync(url, "utf8"));
+}
+
+// Samples every quarter mile heading west from the incident, as an eastbound
+// upstream walk would produce them.
+function westboundSamples(states, free = 65) {
+  const speedFor = { stopped:5, severe:20, slow:36, moderate:50, flowing:64 };
+
+  return states.map((state, i) => ({
+    point:{ lat:41.05, lon:-77.5 - i * 0.25 / 52.2 },
+    state,
+    badFlow:false,
+    currentSpeed:state === "unknown" ? null : speedFor[state],
+    freeFlowSpeed:state === "unknown" ? null : free,
+    confidence:0.95
+  }));
+}
+
+function eastboundFlow(overrides = {}) {
+  return {
+    provider:"tomtom",
+    currentSpeed:20,
+    freeFlowSpeed:65,
+    confidence:1,
+    roadClosure:false,
+    geometry:[{ lat:41.05, lon:-77.52 }, { lat:41.05, lon:-77.5 }],
+    ...overrides
+  };
+}
+
+test("summarizeSamples splits stopped and slow miles and stops at flowing traffic", () => {
+  const summary = summarizeSamples(westboundSamples([
+    "stopped", "stopped", "stopped", "severe", "slow", "moderate", "flowing", "flowing", "flowing", "stopped"
+  ]));
+
+  assert.equal(summary.started, true);
+  assert.equal(summary.tqMiles, 0.75);
+  assert.equal(summary.backlogMiles, 0.5);
+  assert.equal(summary.totalAffectedMiles, 1.25);
+  assert.equal(summary.queueEndIndex, 5);
+  assert.ok(summary.delayMinutes > 5);
+});
+
+test("summarizeSamples counts only the first stretch of an unknown gap", () => {
+  const short = summarizeSamples(westboundSamples(["stopped", "stopped", "unknown", "stopped", "flowing", "flowing", "flowing"]));
+  assert.equal(short.tqMiles, 0.5);
+  assert.equal(short.backlogMiles, 0.25);
+
+  const long = summarizeSamples(westboundSamples(["stopped", "stopped", "unknown", "unknown", "stopped", "flowing", "flowing", "flowing"]));
+  assert.equal(long.tqMiles, 0.5);
+  assert.equal(long.backlogMiles, 0.25);
+  assert.equal(long.sampledMiles, 1.75);
+});
+
+test("summarizeSamples reports no queue when everything is flowing", () => {
+  const summary = summarizeSamples(westboundSamples(["flowing", "flowing", "flowing", "flowing"]));
+
+  assert.equal(summary.started, false);
+  assert.equal(summary.totalAffectedMiles, 0);
+  assert.equal(summary.avgQueueSpeedMph, null);
+});
+
+test("confidenceFromValidation rewards a long queue that clears downstream", () => {
+  const upstream = westboundSamples(["stopped", "stopped", "stopped", "stopped", "severe", "severe", "slow", "slow", "flowing"]);
+  const downstream = westboundSamples(["flowing", "flowing", "flowing"]);
+  const summary = summarizeSamples(upstream);
+
+  assert.equal(confidenceFromValidation(upstream, downstream, "high", summary), "high");
+});
+
+test("confidenceFromValidation stays low when every sample snapped to the wrong road", () => {
+  const upstream = westboundSamples(["unknown", "unknown", "unknown"]).map(s => ({ ...s, badFlow:true }));
+  const summary = summarizeSamples(upstream);
+
+  assert.equal(confidenceFromValidation(upstream, [], "low", summary), "low");
+});
+
+test("upstreamPath walks against the direction of travel", () => {
+  const line = [-77.56, -77.54, -77.52, -77.5, -77.48, -77.46].map(lon => ({ lat:41.05, lon }));
+  const incident = { lat:41.05, lon:-77.5 };
+
+  assert.deepEqual(upstreamPath(line, incident, "East").map(p => p.lon), [-77.5, -77.52, -77.54, -77.56]);
+  assert.deepEqual(upstreamPath(line, incident, "West").map(p => p.lon), [-77.5, -77.48, -77.46]);
+  assert.deepEqual(upstreamPath([...line].reverse(), incident, "East").map(p => p.lon), [-77.5, -77.52, -77.54, -77.56]);
+});
+
+test("scoreFlow prefers aligned interstate mainline flow", () => {
+  const incident = { route:"I-80", description:"Crash on I-80 eastbound", direction:"East" };
+
+  const mainline = scoreFlow(eastboundFlow(), incident);
+  const ramp = scoreFlow(eastboundFlow({
+    freeFlowSpeed:35,
+    geometry:[{ lat:41.04, lon:-77.5 }, { lat:41.06, lon:-77.5 }]
+  }), incident);
+
+  assert.ok(mainline >= 75, `mainline scored ${mainline}`);
+  assert.ok(ramp < 0, `ramp scored ${ramp}`);
+  assert.equal(scoreFlow(null, incident), -9999);
+});
+
+test("scoreFlow penalizes the opposite carriageway only for directional lookups", () => {
+  const westbound = eastboundFlow({ geometry:[{ lat:41.05, lon:-77.5 }, { lat:41.05, lon:-77.52 }] });
+  const incident = { route:"I-80", description:"Crash on I-80 eastbound", direction:"East" };
+
+  assert.equal(scoreFlow(westbound, incident), scoreFlow(eastboundFlow(), incident));
+  assert.equal(scoreFlow(westbound, { ...incident, directional:true }), scoreFlow(eastboundFlow(), incident) - 60);
+});
+
+test("parseFixtureArgs reads --record and --replay directories", () => {
+  assert.deepEqual(parseFixtureArgs(["--record", "test/fixtures/tq/run"]), { mode:"record", dir:"test/fixtures/tq/run" });
+  assert.deepEqual(parseFixtureArgs(["--replay=test/fixtures/tq/run"]), { mode:"replay", dir:"test/fixtures/tq/run" });
+  assert.equal(parseFixtureArgs([]), null);
+  assert.throws(() => parseFixtureArgs(["--replay"]), /needs a fixture directory/);
+});
+
+function assertWithin(actual, expected, tolerance, message){
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+for (const entry of fs.readdirSync(TQ_FIXTURES, { withFileTypes:true }).filter(e => e.isDirectory())) {
+  test(`replaying ${entry.name} finds the expected queues within tolerance`, async () => {
+    const dir = new URL(`${entry.name}/`, TQ_FIXTURES);
+    const expected = loadJson(new URL("expected.json", dir));
+    const results = await replayRecording(fileURLToPath(dir));
+
+    assert.ok(expected.toleranceMiles > 0 && expected.toleranceMinutes > 0, "expected.json states its tolerance");
+
+    // A fixture is either a --record capture with its recording time or says
+    // it is synthetic; it is never passed off as one when it is the other.
+    for (const file of ["events.json", "flows.json"]) {
+      const json = loadJson(new URL(file, dir));
+      const synthetic = /^synthetic\b/.test(json.source || "");
+      assert.ok(synthetic !== !!json.recorded_at, `${file} is labelled either synthetic or with recorded_at`);
+    }
+    assert.equal(results.length, expected.events.length);
+
+    for (const want of expected.events) {
+      const got = results.find(r => r.eventId === want.eventId);
+      assert.ok(got, `missing ${want.eventId}`);
+
+      if (want.error) {
+        assert.ok(got.error, `${want.eventId} should fail`);
+        continue;
+      }
+
+      assert.equal(got.error, undefined, `${want.eventId}: ${got.error}`);
+      assertWithin(got.tqMiles, want.tqMiles, expected.toleranceMiles, `${want.eventId} TQ miles`);
+      assertWithin(got.totalAffectedMiles, want.totalAffectedMiles, expected.toleranceMiles, `${want.eventId} total miles`);
+      assertWithin(got.delayMinutes, want.delayMinutes, expected.toleranceMinutes, `${want.eventId} delay`);
+
+      if (want.oppositeTotalMiles == null) {
+        assert.equal(got.oppositeDirection?.detected ?? false, false, `${want.eventId} opposite`);
+      } else {
+        assertWithin(got.oppositeDirection?.totalAffectedMiles, want.oppositeTotalMiles, expected.toleranceMiles, `${want.eventId} opposite miles`);
+      }
+
+      assert.equal(got.secondaryOf ?? null, want.secondaryOf, `${want.eventId} secondaryOf`);
+      assert.deepEqual(got.secondaryEvents || [], want.secondaryEvents, `${want.eventId} secondary events`);
+    }
+  });
+}
+
+test("buildTqGeoJson draws one line per run of queue states", async () => {
+  const results = await replayRecording(fileURLToPath(new URL("central_pa/", TQ_FIXTURES)));
+  const geo = buildTqGeoJson(results, "2026-01-14T15:00:00.000Z");
+
+  const lines = geo.features.filter(f => f.properties.eventId === "418211");
+  assert.deepEqual(lines.map(f => f.properties.state), ["stopped", "slow"]);
+  assert.ok(lines.every(f => f.geometry.type === "LineString" && f.properties.route === "I-80" && f.properties.direction === "East"));
+
+  for (let i = 1; i < lines.length; i++) {
+    assert.deepEqual(lines[i].geometry.coordinates[0], lines[i - 1].geometry.coordinates.at(-1));
+  }
+
+  const miles = lines.reduce((sum, f) => sum + f.properties.miles, 0);
+  const queue = results.find(r => r.eventId === "418211");
+  assert.ok(Math.abs(miles - queue.totalAffectedMiles) < 0.05);
+
+  assert.equal(geo.features.some(f => f.properties.eventId === "418260"), false);
+});
+
+// One history point every ten minutes ending at 15:00Z, with total miles
+// taken from `totals`.
+function queueHistory(totals, end = Date.parse("2026-01-14T15:00:00.000Z")){
+  return totals.map((total, i) => ({
+    at:new Date(end - (totals.length - 1 - i) * 600000).toISOString(),
+    tq:total / 2,
+    backlog:total / 2,
+    total,
+    delay:null,
+    confidence:"medium"
+  }));
+}
+
+test("queueTrend reports growing, shrinking and stable queues from the trailing hour", () => {
+  assert.deepEqual(queueTrend(queueHistory([1, 1.5, 2, 2.5])), { trend:"growing", growthMph:3 });
+  assert.deepEqual(queueTrend(queueHistory([3, 2.5, 2, 1.5])), { trend:"shrinking", growthMph:-3 });
+  assert.deepEqual(queueTrend(queueHistory([2, 2, 2.02, 2])), { trend:"stable", growthMph:0.01 });
+
+  // Points older than the hour window are ignored: a queue that grew two
+  // hours ago and has held since is stable now.
+  assert.equal(queueTrend(queueHistory([0, 0, 0, 0, 0, 4, 4, 4, 4, 4, 4, 4, 4])).trend, "stable");
+});
+
+test("queueTrend needs two points at least ten minutes apart", () => {
+  assert.deepEqual(queueTrend([]), { trend:null, growthMph:null });
+  assert.deepEqual(queueTrend(queueHistory([1])), { trend:null, growthMph:null });
+
+  const close = [
+    { at:"2026-01-14T15:00:00.000Z", total:1 },
+    { at:"2026-01-14T15:05:00.000Z", total:3 }
+  ];
+  assert.deepEqual(queueTrend(close), { trend:null, growthMph:null });
+});
+
+test("applyQueueHistory appends the run, tracks the peak and prunes old points", () => {
+  const prev = { firstSeen:"2026-01-14T07:00:00.000Z", history:queueHistory(Array.from({ length:48 }, (_, i) => (i === 0 ? 9 : 1 + i / 100))) };
+  const result = { eventId:"1", updated:"2026-01-14T15:10:00.000Z", tqMiles:1, backlogMiles:0.5, totalAffectedMiles:1.5, delayMinutes:4, confidence:"high" };
+
+  const out = applyQueueHistory(result, prev);
+
+  assert.equal(out.history.length, 48);
+  assert.equal(out.history[0].at, prev.history[1].at);
+  assert.deepEqual(out.history.at(-1), { at:result.updated, tq:1, backlog:0.5, total:1.5, delay:4, confidence:"high" });
+  assert.equal(out.peakMiles, 1.5);
+  assert.equal(out.peakAt, result.updated);
+  assert.equal(out.firstSeen, prev.firstSeen);
+  assert.equal(out.trend, "stable");
+});
+
+test("applyQueueHistory keeps the old series when a run fails", () => {
+  const prev = { history:queueHistory([1, 2]) };
+  const out = applyQueueHistory({ eventId:"1", updated:"2026-01-14T15:10:00.000Z", error:"511PA incident failed" }, prev);
+
+  assert.deepEqual(out.history, prev.history);
+  assert.equal(out.peakMiles, 2);
+  assert.equal(out.firstSeen, prev.history[0].at);
+
+  const fresh = applyQueueHistory({ eventId:"2", updated:"2026-01-14T15:10:00.000Z", tqMiles:0, backlogMiles:0, totalAffectedMiles:0 }, null);
+  assert.equal(fresh.history.length, 1);
+  assert.equal(fresh.firstSeen, "2026-01-14T15:10:00.000Z");
+  assert.equal(fresh.trend, null);
+});
+
+// A metered provider that returns an eastbound segment for every probe and
+// counts what it was asked.
+function countingProvider(name, { fail = false } = {}){
+  const provider = {
+    name,
+    metered:true,
+    available:true,
+    calls:[],
+
+    async fetchFlow(point){
+      provider.calls.push(point);
+      if (fail) throw new Error(`${name} timed out`);
+
+      return {
+        provider:name,
+        currentSpeed:30,
+        freeFlowSpeed:65,
+        confidence:1,
+        roadClosure:false,
+        geometry:[{ lat:point.lat, lon:point.lon - 0.01 }, { lat:point.lat, lon:point.lon + 0.01 }]
+      };
+    }
+  };
+
+  return provider;
+}
+
+test("compareDiscovered ranks manual IDs, then full closures, then severity", () => {
+  const discovered = [
+    { eventId:"lane-severe", severity:90, fullClosure:false, fileRank:1 },
+    { eventId:"closure-mild", severity:55, fullClosure:true, fileRank:0 },
+    { eventId:"manual", source:"manual" },
+    { eventId:"closure-severe", severity:85, fullClosure:true, fileRank:0 },
+    { eventId:"lane-mild", severity:30, fullClosure:false, fileRank:1 }
+  ];
+
+  assert.deepEqual(
+    discovered.sort(compareDiscovered).map(d => d.eventId),
+    ["manual", "closure-severe", "closure-mild", "lane-severe", "lane-mild"]
+  );
+});
+
+function tempBudgetFile(saved){
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tq-budget-")), "tq_budget.json");
+  if (saved) fs.writeFileSync(file, JSON.stringify(saved));
+  return file;
+}
+
+test("fetchFlow serves repeat and same-segment lookups from cache per direction", async () => {
+  const provider = countingProvider("fake");
+  useFlowProviders([provider]);
+
+  const point = { lat:41.05, lon:-77.5 };
+  const alongSegment = { lat:41.05, lon:-77.505 };
+
+  await fetchFlow(point, "East");
+  await fetchFlow(point, "EB");
+  await fetchFlow(alongSegment, "East");
+  assert.equal(provider.calls.length, 1);
+
+  // The other carriageway is ~0.01 mi away and must not reuse the eastbound flow.
+  await fetchFlow(point, "West");
+  await fetchFlow({ lat:41.0501, lon:-77.505 }, "West");
+  assert.equal(provider.calls.length, 2);
+
+  const usage = flowUsageSummary();
+  assert.equal(usage.cacheHits, 1);
+  assert.equal(usage.segmentHits, 2);
+});
+
+test("fetchFlow persists the daily budget when a metered call fails", async () => {
+  const today = new Date().toISOString().slice(0, 10);
+  const file = tempBudgetFile({ day:today, calls:{ flaky:5 } });
+  const provider = countingProvider("flaky", { fail:true });
+
+  useFlowProviders([provider]);
+  await loadFlowBudget(file);
+
+  await assert.rejects(fetchFlow({ lat:41.05, lon:-77.5 }, "East"), /timed out/);
+
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.equal(saved.day, today);
+  assert.equal(saved.calls.flaky, 6);
+});
+
+test("fetchFlow moves to the next provider when the daily budget runs out", async () => {
+  const today = new Date().toISOString().slice(0, 10);
+  const file = tempBudgetFile({ day:today, calls:{ first:9, second:0 } });
+  const first = countingProvider("first");
+  const second = countingProvider("second");
+
+  process.env.TQ_DAILY_CALL_BUDGET_FIRST = "10";
+  try {
+    useFlowProviders([first, second]);
+    await loadFlowBudget(file);
+
+    await fetchFlow({ lat:41.05, lon:-77.5 }, "East");
+    await fetchFlow({ lat:41.2, lon:-77.5 }, "East");
+
+    assert.equal(first.calls.length, 1);
+    assert.equal(second.calls.length, 1);
+
+    // Successful calls are only counted in memory until the run saves once.
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")).calls, { first:9, second:0 });
+    await saveFlowBudget();
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")).calls, { first:10, second:1 });
+
+    const yesterday = tempBudgetFile({ day:"2000-01-01", calls:{ first:10 } });
+    useFlowProviders([first]);
+    await loadFlowBudget(yesterday);
+    assert.equal(flowUsageSummary().providers[0].dayCalls, 0);
+  } finally {
+    delete process.env.TQ_DAILY_CALL_BUDGET_FIRST;
+  }
+});
+
+test("fetchFlow drops a provider whose key is rejected and retries the next", async () => {
+  const rejected = countingProvider("rejected");
+  const fallback = countingProvider("fallback");
+
+  rejected.fetchFlow = async (point) => {
+    rejected.calls.push(point);
+    throw Object.assign(new Error("rejected flow failed: 403 Forbidden"), { status:403 });
+  };
+
+  useFlowProviders([rejected, fallback]);
+
+  const flow = await fetchFlow({ lat:41.05, lon:-77.5 }, "East");
+  await fetchFlow({ lat:41.2, lon:-77.5 }, "East");
+
+  assert.equal(flow.provider, "fallback");
+  assert.equal(rejected.available, false);
+  assert.equal(rejected.calls.length, 1);
+  assert.equal(fallback.calls.length, 2);
+});
+
+function pathMiles(points){
+  let miles = 0;
+  for (let i = 1; i < points.length; i++) {
+    const [lat1, lon1, lat2, lon2] = [points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon].map(d => d * Math.PI/180);
+    const x = Math.sin((lat2 - lat1)/2)**2 + Math.cos(lat1)*Math.cos(lat2)*Math.sin((lon2 - lon1)/2)**2;
+    miles += 2 * 3958.7613 * Math.asin(Math.sqrt(x));
+  }
+  return miles;
+}
+
+test("centerlineGeometry walks the carriageway for the incident direction", () => {
+  const { routes } = loadJson(new URL("centerlines_sample.json", TQ_FIXTURES));
+  const at = { lat:40.2002, lon:-77.2 };
+
+  const east = centerlineGeometry(routes, { route:"I-76", direction:"EB" }, at);
+  assert.ok(east.every(p => p.lat === 40.2));
+  assert.ok(east[0].lon < -77.3 && east.at(-1).lon > -77.2);
+  assert.ok(Math.abs(pathMiles(east) - 9.5) < 0.01);
+
+  // Same spot, other carriageway: behind a westbound incident is to the east.
+  const west = centerlineGeometry(routes, { route:"I-76", direction:"West" }, at);
+  assert.ok(west.every(p => p.lat === 40.2004));
+  assert.ok(west[0].lon > -77.1 && west.at(-1).lon < -77.2);
+  assert.ok(Math.abs(pathMiles(west) - 9.5) < 0.01);
+
+  // A single-line road serves both directions from the same points.
+  const north = centerlineGeometry(routes, { route:"", description:"Crash on US 11 northbound", direction:"North" }, { lat:40.15, lon:-77.25 });
+  assert.equal(north[0].lat, 40.1);
+  assert.ok(Math.abs(pathMiles(north.slice(-2)) - 1.5) < 0.01);
+  assert.ok(north.every(p => p.lon === -77.25));
+});
+
+test("centerlineGeometry returns nothing without a matching route, direction or nearby line", () => {
+  const { routes } = loadJson(new URL("centerlines_sample.json", TQ_FIXTURES));
+  const at = { lat:40.2002, lon:-77.2 };
+
+  assert.deepEqual(centerlineGeometry(routes, { route:"I-76", direction:"Both" }, at), []);
+  assert.deepEqual(centerlineGeometry(routes, { route:"I-76", direction:"North" }, at), []);
+  assert.deepEqual(centerlineGeometry(routes, { route:"I-81", direction:"North" }, at), []);
+  assert.deepEqual(centerlineGeometry(routes, { route:"I-76", direction:"East" }, { lat:40.25, lon:-77.2 }), []);
+  assert.deepEqual(centerlineGeometry({}, { route:"I-76", direction:"East" }, at), []);
+});
+
+// Quarter-mile samples due south of the incident, exactly 0.25 mi apart on
+// the estimator's own haversine, so delay and clearance come out exact.
+function southOfIncident(specs){
+  const step = 0.25 / 3958.7613 * 180 / Math.PI;
+
+  return specs.map((spec, i) => ({
+    point:{ lat:41 - i * step, lon:-77.5 },
+    badFlow:false,
+    freeFlowSpeed:60,
+    confidence:0.95,
+    ...spec
+  }));
+}
+
+test("summarizeSamples times the queue from travel times when the provider gives them", () => {
+  const stopped = { state:"stopped", currentSpeed:5, currentTravelTime:300, freeFlowTravelTime:30 };
+  const slow = { state:"slow", currentSpeed:30 };
+  const flowing = { state:"flowing", currentSpeed:60 };
+
+  const summary = summarizeSamples(southOfIncident([
+    flowing, stopped, stopped, stopped, stopped, slow, slow, flowing, flowing, flowing
+  ]));
+
+  // Stopped: 1 mi at 60 * 30/300 = 6 mph is 9 min over free flow; the
+  // reported 5 mph would give 11. Slow: 0.5 mi at 30 mph adds 0.5 min.
+  assert.equal(summary.tqMiles, 1);
+  assert.equal(summary.backlogMiles, 0.5);
+  assert.equal(summary.delayMinutes, 9.5);
+  assert.equal(summary.avgQueueSpeedMph, 8.2);
+
+  const crawling = summarizeSamples(southOfIncident([
+    flowing, { state:"stopped", currentSpeed:1, currentTravelTime:3600, freeFlowTravelTime:30 }, flowing, flowing, flowing
+  ]));
+  assert.equal(crawling.delayMinutes, 4.8);
+  assert.equal(crawling.avgQueueSpeedMph, 3);
+});
+
+test("estimateClearance discharges the queue from the later of reopening and now", () => {
+  const summary = { started:true, tqMiles:1, backlogMiles:0.5 };
+  const now = new Date("2026-01-14T15:00:00.000Z");
+
+  // (1 + 0.5/2) mi * 190 veh/mi over 1800 * (1 - 0.6) veh/h = 19.8 min.
+  assert.deepEqual(estimateClearance(summary, "2026-01-14T16:00:00.000Z", now), {
+    clearanceMinutes:20, estimatedClearAt:"2026-01-14T16:20:00.000Z"
+  });
+  assert.deepEqual(estimateClearance(summary, "2026-01-14T14:30:00.000Z", now), {
+    clearanceMinutes:20, estimatedClearAt:"2026-01-14T15:20:00.000Z"
+  });
+  assert.deepEqual(estimateClearance(summary, null, now), { clearanceMinutes:20, estimatedClearAt:null });
+  assert.deepEqual(estimateClearance({ ...summary, started:false }, "2026-01-14T16:00:00.000Z", now), {
+    clearanceMinutes:null, estimatedClearAt:null
+  });
+});
+
+function eastboundQueue(eventId, route, overrides = {}){
+  return {
+    eventId,
+    route,
+    direction:"EASTBOUND",
+    description:"",
+    incidentPoint:{ lat:41.05, lon:-77.5 },
+    queuePath:[{ lat:41.05, lon:-77.5 }, { lat:41.05, lon:-77.6 }],
+    totalAffectedMiles:5,
+    ...overrides
+  };
+}
+
+test("linkSecondaryIncidents links only events on the queue's own route and direction", () => {
+  const onQueue = { lat:41.0502, lon:-77.55 };
+  const results = [
+    eastboundQueue("1", "I-80"),
+    eastboundQueue("2", "", { description:"Disabled vehicle on I 80 eastbound", incidentPoint:onQueue, queuePath:[onQueue], totalAffectedMiles:0 })
+  ];
+  const candidates = [
+    // PA 144 crosses over I-80 here: same spot, same cardinal direction.
+    { eventId:"3", sourceRoute:"PA 144", direction:"EASTBOUND", location:{ lat:41.0501, lon:-77.57 } },
+    { eventId:"4", sourceRoute:"I-80", direction:"WESTBOUND", location:{ lat:41.0501, lon:-77.58 } },
+    { eventId:"5", sourceRoute:"Interstate 80", direction:"EB", location:{ lat:41.0501, lon:-77.59 } },
+    { eventId:"6", sourceRoute:"", direction:"EASTBOUND", location:{ lat:41.0501, lon:-77.52 } }
+  ];
+
+  linkSecondaryIncidents(results, candidates);
+
+  assert.deepEqual([...results[0].secondaryEvents].sort(), ["2", "5"]);
+  assert.equal(results[1].secondaryOf, "1");
+
+  const crossing = [eastboundQueue("7", "PA 144")];
+  linkSecondaryIncidents(crossing, [{ eventId:"8", sourceRoute:"I-80", direction:"EASTBOUND", location:{ lat:41.05, lon:-77.55 } }]);
+  assert.deepEqual(crossing[0].secondaryEvents, []);
+});
+
+test("sampleOppositeDirection walks the other carriageway's centerline with budget to spare", async () => {
+  const { routes } = loadJson(new URL("centerlines_sample.json", TQ_FIXTURES));
+  const incident = { id:"1", route:"I-76", direction:"East", description:"" };
+  const at = { lat:40.2002, lon:-77.2 };
+  const provider = countingProvider("fake");
+
+  // The fake provider only reports eastbound segments, so without a
+  // centerline there is nothing westbound to walk.
+  useFlowProviders([countingProvider("eastbound")]);
+  assert.deepEqual(await sampleOppositeDirection(incident, at, {}), {
+    direction:"WEST", detected:false, skipped:"No westbound centerline or flow segment near the incident."
+  });
+
+  useFlowProviders([provider]);
+  assert.equal(await sampleOppositeDirection({ ...incident, direction:"Both" }, at, routes), null);
+
+  process.env.TQ_RUN_CALL_BUDGET_FAKE = "20";
+  try {
+    useFlowProviders([provider]);
+    assert.deepEqual(await sampleOppositeDirection(incident, at, routes), {
+      direction:"WEST", detected:false, skipped:"Traffic flow call budget held back for other events."
+    });
+  } finally {
+    delete process.env.TQ_RUN_CALL_BUDGET_FAKE;
+  }
+  assert.equal(provider.calls.length, 0);
+
+  useFlowProviders([provider]);
+  const sampled = await sampleOppositeDirection(incident, at, routes);
+  assert.equal(sampled.skipped, undefined);
+  assert.equal(sampled.sampleCount, 9);
+  assert.equal(sampled.geometrySource, "PA road centerline");
+  assert.ok(sampled.samples.every(s => s.point.lat === 40.2004 || s.point === at));
+  assert.ok(provider.calls.length > 0);
+});
+
+test("sampleOppositeDirection falls back to the opposite flow segment without centerlines", async () => {
+  const incident = { id:"1", route:"I-76", direction:"East", description:"" };
+  const at = { lat:40.2002, lon:-77.2 };
+
+  // A westbound segment on the other carriageway, drawn the way traffic on it
+  // drives: from 2.5 miles east of the incident to 2.5 miles west of it.
+  const westbound = Array.from({ length:21 }, (_, i) => ({ lat:40.2004, lon:-77.153 - i * 0.0047 }));
+  const provider = {
+    name:"westbound",
+    metered:true,
+    available:true,
+    calls:[],
+    async fetchFlow(point){
+      provider.calls.push(point);
+      return { provider:"westbound", currentSpeed:12, freeFlowSpeed:65, confidence:1, roadClosure:false, geometry:westbound };
+    }
+  };
+
+  useFlowProviders([provider]);
+  const sampled = await sampleOppositeDirection(incident, at, {});
+
+  assert.equal(sampled.skipped, undefined);
+  assert.equal(sampled.geometrySource, "westbound flow segment geometry");
+  assert.equal(sampled.sampleCount, 9);
+  assert.ok(sampled.samples.slice(1).every(s => s.point.lat === 40.2004 && s.point.lon >= at.lon));
+  assert.equal(sampled.detected, true);
+});